@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * Healthcare Telemedicine System - Message Publisher CLI
+ *
+ * Publishes messages to RabbitMQ for demos and for reproducing delivery issues:
+ * - To the topic exchange (or any exchange) with a routing key, or straight to a queue
+ * - Messages from arguments, a file or stdin, one per line
+ * - Text envelopes, custom JSON envelope templates or raw bodies
+ * - Rate limiting, repeat counts and printing of publisher confirms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+// Load environment variables before the RabbitMQ config is read
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { v4: uuidv4 } = require('uuid');
+const messagePublisher = require('../src/services/messagePublisher');
+const { exchange: defaultExchange } = require('../src/config/rabbitmq');
+const { createEnvelope } = require('../src/utils/messageEnvelope');
+
+// Unconfirmed messages allowed before waiting for the broker to catch up
+const MAX_IN_FLIGHT = 100;
+
+const USAGE = `Usage: node scripts/publish-messages.js [options] [message...]
+
+Messages are taken from the arguments, from --file, or from stdin (one per line)
+when no arguments are given and stdin is not a terminal.
+
+Destination:
+  -q, --queue <name>         Publish straight to a queue instead of an exchange
+  -e, --exchange <name>      Exchange to publish to (default: ${defaultExchange})
+  -k, --routing-key <key>    Routing key (default: messaging.<type> for envelopes)
+
+Content:
+  -f, --file <path>          Read messages from a file, one per line ('-' for stdin)
+  -t, --template <json>      JSON envelope template, or @path to a template file.
+                             Placeholders: {{message}}, {{seq}}, {{timestamp}}, {{uuid}}
+      --room <room>          Room for the default text envelope (repeatable, default: consultation-demo)
+      --recipient <userId>   Recipient for the default text envelope (repeatable)
+      --sender <userId>      senderId stamped on envelopes
+      --raw                  Send each message as-is, without an envelope or validation
+
+Delivery:
+  -r, --rate <n>             Maximum messages per second
+  -n, --repeat <n>           Send each message n times (default: 1)
+  -c, --confirms             Print a line for every publisher confirm
+  -h, --help                 Show this help
+
+Examples:
+  node scripts/publish-messages.js "Hello" --room consultation-abc123
+  node scripts/publish-messages.js -t '{"type":"care_team.note","rooms":["patient-{{uuid}}"],"payload":{"text":"{{message}}"}}' "Note"
+  cat messages.txt | node scripts/publish-messages.js --raw -q messages -r 5 -c`;
+
+const DEFAULT_TEMPLATE = {
+  type: 'text',
+  payload: { text: '{{message}}' }
+};
+
+class MessagePublisherCLI {
+  constructor(argv) {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        queue: { type: 'string', short: 'q' },
+        exchange: { type: 'string', short: 'e' },
+        'routing-key': { type: 'string', short: 'k' },
+        file: { type: 'string', short: 'f' },
+        template: { type: 'string', short: 't' },
+        room: { type: 'string', multiple: true },
+        recipient: { type: 'string', multiple: true },
+        sender: { type: 'string' },
+        raw: { type: 'boolean', default: false },
+        rate: { type: 'string', short: 'r' },
+        repeat: { type: 'string', short: 'n' },
+        confirms: { type: 'boolean', short: 'c', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+
+    this.options = values;
+    this.messages = positionals;
+    this.rate = values.rate ? parseFloat(values.rate) : null;
+    this.repeat = values.repeat ? parseInt(values.repeat) : 1;
+    this.template = values.raw ? null : this.loadTemplate(values.template);
+
+    this.stats = { published: 0, confirmed: 0, failed: 0 };
+    this.inFlight = new Set();
+    this.startTime = null;
+  }
+
+  // Validate option combinations before connecting
+  validateOptions() {
+    const { queue, exchange, raw, template } = this.options;
+
+    if (this.rate !== null && !(this.rate > 0)) {
+      throw new Error('--rate must be a positive number');
+    }
+    if (!(this.repeat > 0)) {
+      throw new Error('--repeat must be a positive integer');
+    }
+    if (queue && exchange) {
+      throw new Error('--queue and --exchange cannot be combined');
+    }
+    if (raw && template) {
+      throw new Error('--raw and --template cannot be combined');
+    }
+    if (raw && !queue && !this.options['routing-key']) {
+      throw new Error('--raw messages need a --routing-key or a --queue');
+    }
+  }
+
+  // Parse the envelope template from inline JSON or @file
+  loadTemplate(template) {
+    if (!template) {
+      return {
+        ...DEFAULT_TEMPLATE,
+        rooms: this.options.room || (this.options.recipient ? [] : ['consultation-demo']),
+        recipients: this.options.recipient || []
+      };
+    }
+
+    const source = template.startsWith('@')
+      ? fs.readFileSync(path.resolve(template.slice(1)), 'utf8')
+      : template;
+
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Template is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Replace placeholders in every string of the template
+  renderTemplate(value, variables) {
+    if (typeof value === 'string') {
+      return value.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        (variables[name] !== undefined ? String(variables[name]) : match)
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderTemplate(item, variables));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.renderTemplate(item, variables)])
+      );
+    }
+    return value;
+  }
+
+  // Build the body, routing key and AMQP properties for one message
+  buildMessage(message, seq) {
+    const properties = {
+      contentType: 'application/json',
+      timestamp: Date.now()
+    };
+
+    if (!this.template) {
+      return {
+        content: message,
+        routingKey: this.options['routing-key'],
+        properties: { ...properties, contentType: 'text/plain', messageId: uuidv4() }
+      };
+    }
+
+    const data = this.renderTemplate(this.template, {
+      message,
+      seq,
+      timestamp: new Date().toISOString(),
+      uuid: uuidv4()
+    });
+
+    const { envelope, errors } = createEnvelope(data, this.options.sender);
+    if (errors.length > 0) {
+      throw new Error(`Invalid envelope: ${errors.map(e => `${e.path} ${e.message}`).join(', ')}`);
+    }
+
+    return {
+      content: JSON.stringify(envelope),
+      routingKey: this.options['routing-key'] || `messaging.${envelope.type}`,
+      properties: {
+        ...properties,
+        messageId: envelope.messageId,
+        correlationId: envelope.correlationId,
+        type: envelope.type
+      }
+    };
+  }
+
+  // Messages from the arguments, a file or stdin, one per non-empty line
+  async *readMessages() {
+    if (this.messages.length > 0 && !this.options.file) {
+      yield* this.messages;
+      return;
+    }
+
+    const file = this.options.file;
+    if (!file && process.stdin.isTTY) {
+      throw new Error('No messages given. Pass them as arguments, with --file, or on stdin.');
+    }
+
+    const input = !file || file === '-' ? process.stdin : fs.createReadStream(file);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield line;
+      }
+    }
+  }
+
+  // Hold back until the next message is allowed under --rate
+  async throttle() {
+    if (!this.rate) {
+      return;
+    }
+
+    const sendAt = this.startTime + (this.stats.published / this.rate) * 1000;
+    const wait = sendAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // Publish one message without waiting for its confirm
+  async send(message, seq) {
+    const { content, routingKey, properties } = this.buildMessage(message, seq);
+    const destination = this.options.queue
+      ? `queue ${this.options.queue}`
+      : `${this.options.exchange || defaultExchange} -> ${routingKey}`;
+
+    while (this.inFlight.size >= MAX_IN_FLIGHT) {
+      await Promise.race(this.inFlight);
+    }
+
+    await this.throttle();
+
+    const sentAt = Date.now();
+    const confirm = (this.options.queue
+      ? messagePublisher.publishToQueue(this.options.queue, content, properties)
+      : messagePublisher.publishToExchange(this.options.exchange || defaultExchange, routingKey, content, properties)
+    )
+      .then(() => {
+        this.stats.confirmed += 1;
+        if (this.options.confirms) {
+          console.log(`ack  #${seq} ${properties.messageId} ${destination} (${Date.now() - sentAt}ms)`);
+        }
+      })
+      .catch((error) => {
+        this.stats.failed += 1;
+        console.error(`nack #${seq} ${properties.messageId} ${destination}: ${error.message}`);
+      })
+      .finally(() => {
+        this.inFlight.delete(confirm);
+      });
+
+    this.inFlight.add(confirm);
+    this.stats.published += 1;
+  }
+
+  async run() {
+    if (this.options.help) {
+      console.log(USAGE);
+      return true;
+    }
+
+    this.validateOptions();
+
+    // Connect up front so connection errors surface before any message is read,
+    // and so pipelined publishes go out in order
+    await messagePublisher.getChannel();
+    this.startTime = Date.now();
+
+    let seq = 0;
+    for await (const message of this.readMessages()) {
+      for (let i = 0; i < this.repeat; i++) {
+        seq += 1;
+        await this.send(message, seq);
+      }
+    }
+
+    await Promise.all(this.inFlight);
+
+    const duration = Date.now() - this.startTime;
+    console.log(`Published ${this.stats.published} messages: ${this.stats.confirmed} confirmed, ${this.stats.failed} failed (${duration}ms)`);
+
+    return this.stats.failed === 0;
+  }
+}
+
+// Run the CLI if called directly
+if (require.main === module) {
+  let cli;
+  let success = false;
+
+  (async () => {
+    try {
+      cli = new MessagePublisherCLI(process.argv.slice(2));
+      success = await cli.run();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      if (!cli) {
+        console.error(`\n${USAGE}`);
+      }
+    } finally {
+      await messagePublisher.close().catch(() => {});
+      process.exit(success ? 0 : 1);
+    }
+  })();
+}
+
+module.exports = MessagePublisherCLI;
@@ -0,0 +1,58 @@
+const messagePublisher = require('../services/messagePublisher');
+const deadLetterService = require('../services/deadLetterService');
+const { registerConsumer, startRabbitMQConsumer, getConsumerStatus } = require('../services/messageService');
+
+// Broker backed by RabbitMQ: confirm-mode publishing, durable queues,
+// delayed retries and a dead-letter queue
+class AmqpBroker {
+  constructor() {
+    this.type = 'amqp';
+  }
+
+  // Open the publisher connection; rejects when RabbitMQ is unreachable
+  async connect() {
+    await messagePublisher.getChannel();
+  }
+
+  publish(routingKey, content, options = {}) {
+    return messagePublisher.publish(routingKey, content, options);
+  }
+
+  publishToQueue(queue, content, options = {}) {
+    return messagePublisher.publishToQueue(queue, content, options);
+  }
+
+  // Start consuming for every definition, reconnecting when the connection drops
+  async startConsumers(definitions) {
+    definitions.forEach(registerConsumer);
+    await startRabbitMQConsumer();
+  }
+
+  getDeadLetters(limit) {
+    return deadLetterService.getDeadLetters(limit);
+  }
+
+  requeueDeadLetters(limit) {
+    return deadLetterService.requeueDeadLetters(limit);
+  }
+
+  purgeDeadLetters() {
+    return deadLetterService.purgeDeadLetters();
+  }
+
+  getStatus() {
+    const consumer = getConsumerStatus();
+    return {
+      type: this.type,
+      status: consumer.status === 'connected' ? 'connected' : 'degraded',
+      consumer,
+      publisher: messagePublisher.getStatus()
+    };
+  }
+
+  close() {
+    return messagePublisher.close();
+  }
+}
+
+module.exports = AmqpBroker;
@@ -0,0 +1,124 @@
+const { messageBroker } = require('../config/config');
+const AmqpBroker = require('./amqpBroker');
+const MemoryBroker = require('./memoryBroker');
+const { createDomainEvent } = require('../utils/domainEvent');
+
+let activeBroker = null;
+let selecting = null;
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+// Pick the broker from config, or probe RabbitMQ when set to auto
+async function selectBroker() {
+  if (messageBroker.type === 'memory') {
+    console.log('Using in-process message broker');
+    return new MemoryBroker();
+  }
+
+  const amqpBroker = new AmqpBroker();
+  if (messageBroker.type === 'amqp') {
+    return amqpBroker;
+  }
+
+  const connecting = amqpBroker.connect();
+  try {
+    await withTimeout(connecting, messageBroker.detectTimeout);
+    console.log('✅ RabbitMQ detected, using AMQP message broker');
+    return amqpBroker;
+  } catch (error) {
+    // Do not leave a late connection open behind the fallback
+    connecting.then(() => amqpBroker.close()).catch(() => {});
+    console.warn('⚠️  RabbitMQ unavailable:', error.message);
+    console.warn('⚠️  Using in-process message broker (messages are not persisted or shared between processes)');
+    return new MemoryBroker();
+  }
+}
+
+// Resolve the active broker, selecting it on first use
+function getBroker() {
+  if (activeBroker) {
+    return Promise.resolve(activeBroker);
+  }
+
+  if (!selecting) {
+    selecting = selectBroker().then((broker) => {
+      activeBroker = broker;
+      return broker;
+    });
+  }
+
+  return selecting;
+}
+
+async function publish(routingKey, content, options = {}) {
+  const broker = await getBroker();
+  return broker.publish(routingKey, content, options);
+}
+
+async function publishToQueue(queue, content, options = {}) {
+  const broker = await getBroker();
+  return broker.publishToQueue(queue, content, options);
+}
+
+// Publish a domain event without failing the caller when the broker is unavailable
+function publishEvent(routingKey, data) {
+  const event = createDomainEvent(routingKey, data);
+
+  return publish(routingKey, JSON.stringify(event), {
+    messageId: event.eventId,
+    contentType: 'application/json',
+    type: routingKey,
+    timestamp: Date.now()
+  }).then(() => event).catch((error) => {
+    console.error(`Failed to publish ${routingKey} event:`, error.message);
+    return null;
+  });
+}
+
+async function startConsumers(definitions) {
+  const broker = await getBroker();
+  return broker.startConsumers(definitions);
+}
+
+async function getDeadLetters(limit) {
+  const broker = await getBroker();
+  return broker.getDeadLetters(limit);
+}
+
+async function requeueDeadLetters(limit) {
+  const broker = await getBroker();
+  return broker.requeueDeadLetters(limit);
+}
+
+async function purgeDeadLetters() {
+  const broker = await getBroker();
+  return broker.purgeDeadLetters();
+}
+
+// Broker state reported through /health
+function getStatus() {
+  if (!activeBroker) {
+    return { type: null, status: 'initializing' };
+  }
+  return activeBroker.getStatus();
+}
+
+module.exports = {
+  getBroker,
+  publish,
+  publishToQueue,
+  publishEvent,
+  startConsumers,
+  getDeadLetters,
+  requeueDeadLetters,
+  purgeDeadLetters,
+  getStatus
+};
@@ -0,0 +1,196 @@
+const { retryDelays } = require('../config/rabbitmq');
+const deadLetterService = require('../services/deadLetterService');
+
+const MAX_DEAD_LETTERS = 1000;
+
+// AMQP topic matching: `*` matches exactly one word, `#` matches zero or more
+function matchesPattern(pattern, routingKey) {
+  const patternWords = pattern.split('.');
+  const keyWords = routingKey.split('.');
+
+  const match = (i, j) => {
+    if (i === patternWords.length) {
+      return j === keyWords.length;
+    }
+    if (patternWords[i] === '#') {
+      for (let next = j; next <= keyWords.length; next++) {
+        if (match(i + 1, next)) return true;
+      }
+      return false;
+    }
+    if (j === keyWords.length) {
+      return false;
+    }
+    return (patternWords[i] === '*' || patternWords[i] === keyWords[j]) && match(i + 1, j + 1);
+  };
+
+  return match(0, 0);
+}
+
+// In-process broker with the same publish/subscribe semantics as AmqpBroker:
+// topic routing, per-queue consumers, delayed retries and dead-lettering.
+// Nothing survives a restart and delivery is limited to this process.
+class MemoryBroker {
+  constructor() {
+    this.type = 'memory';
+    this.queues = new Map(); // queue name -> { name, bindings, handler, backlog }
+    this.deadLetters = [];
+    this.retryTimers = new Set();
+    this.stats = { published: 0, delivered: 0, retried: 0, deadLettered: 0 };
+  }
+
+  async connect() {}
+
+  getQueue(name) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, { name, bindings: [], handler: null, backlog: [] });
+    }
+    return this.queues.get(name);
+  }
+
+  // Build a message shaped like an amqplib delivery so consumers work unchanged
+  createMessage(content, options, exchange, routingKey) {
+    const { headers = {}, ...properties } = options;
+    return {
+      content: Buffer.isBuffer(content) ? content : Buffer.from(content),
+      fields: { exchange, routingKey, redelivered: false },
+      properties: { ...properties, headers: { ...headers } }
+    };
+  }
+
+  async publish(routingKey, content, options = {}) {
+    this.stats.published += 1;
+    for (const queue of this.queues.values()) {
+      if (queue.bindings.some(pattern => matchesPattern(pattern, routingKey))) {
+        this.enqueue(queue, this.createMessage(content, options, 'events', routingKey));
+      }
+    }
+  }
+
+  async publishToQueue(queueName, content, options = {}) {
+    this.stats.published += 1;
+    this.enqueue(this.getQueue(queueName), this.createMessage(content, options, '', queueName));
+  }
+
+  // Hold messages until the queue has a consumer, like a durable queue would
+  enqueue(queue, msg) {
+    if (!queue.handler) {
+      queue.backlog.push(msg);
+      return;
+    }
+    setImmediate(() => this.deliver(queue, msg));
+  }
+
+  async deliver(queue, msg) {
+    const headers = msg.properties.headers;
+    const attempt = headers['x-retry-count'] || 0;
+
+    try {
+      await queue.handler(msg, attempt);
+      this.stats.delivered += 1;
+    } catch (error) {
+      console.error(`Error handling message from ${queue.name} (attempt ${attempt + 1}):`, error.message);
+
+      if (error.retryable !== false && attempt < retryDelays.length) {
+        const retryMsg = {
+          ...msg,
+          fields: { ...msg.fields, redelivered: true },
+          properties: {
+            ...msg.properties,
+            headers: {
+              ...headers,
+              'x-retry-count': attempt + 1,
+              'x-last-error': error.message
+            }
+          }
+        };
+
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(timer);
+          this.enqueue(queue, retryMsg);
+        }, retryDelays[attempt]);
+        this.retryTimers.add(timer);
+        this.stats.retried += 1;
+      } else {
+        this.deadLetter(queue, msg);
+      }
+    }
+  }
+
+  deadLetter(queue, msg) {
+    msg.properties.headers['x-death'] = [{ queue: queue.name, reason: 'rejected', time: new Date() }];
+    this.deadLetters.push(msg);
+    if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+      this.deadLetters.shift();
+    }
+    this.stats.deadLettered += 1;
+  }
+
+  async startConsumers(definitions) {
+    for (const { name, queue: queueName, bindings = [], handler } of definitions) {
+      const queue = this.getQueue(queueName);
+      queue.bindings = bindings;
+      queue.handler = handler;
+
+      const backlog = queue.backlog;
+      queue.backlog = [];
+      backlog.forEach(msg => this.enqueue(queue, msg));
+
+      console.log(`Consumer ${name} subscribed to in-process queue: ${queueName} (${bindings.join(', ')})`);
+    }
+  }
+
+  async getDeadLetters(limit = 50) {
+    return {
+      messages: this.deadLetters.slice(0, limit).map(msg => deadLetterService.formatMessage(msg)),
+      total: this.deadLetters.length
+    };
+  }
+
+  async requeueDeadLetters(limit = 50) {
+    const messages = this.deadLetters.splice(0, limit);
+    const requeued = messages.map(msg => {
+      const headers = { ...msg.properties.headers };
+      const originalQueue = headers['x-death'][0].queue;
+      delete headers['x-death'];
+      delete headers['x-retry-count'];
+      delete headers['x-last-error'];
+
+      this.enqueue(this.getQueue(originalQueue), {
+        ...msg,
+        properties: { ...msg.properties, headers }
+      });
+      return { messageId: msg.properties.messageId, queue: originalQueue };
+    });
+
+    return { requeued, skipped: [] };
+  }
+
+  async purgeDeadLetters() {
+    const purged = this.deadLetters.length;
+    this.deadLetters = [];
+    return { purged };
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      status: 'connected',
+      queues: Array.from(this.queues.values()).map(queue => ({
+        name: queue.name,
+        bindings: queue.bindings,
+        backlog: queue.backlog.length
+      })),
+      deadLetters: this.deadLetters.length,
+      pendingRetries: this.retryTimers.size,
+      stats: { ...this.stats }
+    };
+  }
+
+  async close() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+}
+
+module.exports = MemoryBroker;
@@ -1,11 +1,128 @@
 require('dotenv').config();
+const path = require('path');
+
+const RATE_LIMIT_SETTINGS = ['capacity', 'refillPerSecond', 'userCapacity', 'userRefillPerSecond'];
+
+// Merge SOCKET_RATE_LIMITS into the per-event defaults. Each override only replaces the
+// settings it names, so {"vital-signs-update":{"refillPerSecond":2}} keeps queue mode.
+function mergeRateLimits(defaults, json) {
+  let overrides;
+  try {
+    overrides = JSON.parse(json || '{}');
+  } catch (error) {
+    throw new Error(`SOCKET_RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(overrides)) {
+    throw new Error('SOCKET_RATE_LIMITS must be a JSON object of per-event limits');
+  }
+
+  const events = { ...defaults };
+  Object.entries(overrides).forEach(([event, limits]) => {
+    if (!isObject(limits)) {
+      throw new Error(`SOCKET_RATE_LIMITS.${event} must be an object`);
+    }
+    Object.entries(limits).forEach(([setting, value]) => {
+      const valid = setting === 'mode'
+        ? ['drop', 'queue'].includes(value)
+        : RATE_LIMIT_SETTINGS.includes(setting) && typeof value === 'number' && value > 0;
+      if (!valid) {
+        throw new Error(`SOCKET_RATE_LIMITS.${event}.${setting} is not a valid rate limit setting`);
+      }
+    });
+    events[event] = { ...defaults[event], ...limits };
+  });
+  return events;
+}
 
 module.exports = {
   port: process.env.PORT || 3000,
   mongoUrl: process.env.MONGO_URL || 'mongodb://localhost:27017/healthcare_telemedicine',
   rabbitmq: {
     url: process.env.RABBITMQ_URL || 'amqp://localhost',
-    queue: process.env.QUEUE || 'messages'
+    queue: process.env.QUEUE || 'messages',
+    exchange: process.env.RABBITMQ_EXCHANGE || 'healthcare.events',
+    reconnect: {
+      initialDelay: parseInt(process.env.RABBITMQ_RECONNECT_INITIAL_DELAY) || 1000, // ms
+      maxDelay: parseInt(process.env.RABBITMQ_RECONNECT_MAX_DELAY) || 30000 // ms
+    },
+    deadLetterExchange: process.env.RABBITMQ_DEAD_LETTER_EXCHANGE || 'messages.dlx',
+    deadLetterQueue: process.env.RABBITMQ_DEAD_LETTER_QUEUE || 'messages.dead-letter',
+    // One delay queue per retry attempt; a message is dead-lettered once they are used up
+    retryDelays: (process.env.RABBITMQ_RETRY_DELAYS || '5000,30000,120000')
+      .split(',')
+      .map(delay => parseInt(delay))
+      .filter(delay => delay > 0),
+    prefetch: parseInt(process.env.RABBITMQ_PREFETCH) || 10
+  },
+  messageBroker: {
+    type: process.env.MESSAGE_BROKER || 'auto', // amqp, memory or auto (probe RabbitMQ at startup)
+    detectTimeout: parseInt(process.env.MESSAGE_BROKER_DETECT_TIMEOUT) || 3000 // ms
+  },
+  messageHistory: {
+    retentionDays: parseInt(process.env.MESSAGE_RETENTION_DAYS) || 30,
+    retentionSchedule: process.env.MESSAGE_RETENTION_SCHEDULE || '0 3 * * *'
+  },
+  eventLog: {
+    maxEventsPerRoom: parseInt(process.env.EVENT_LOG_MAX_EVENTS) || 200,
+    retentionMs: parseInt(process.env.EVENT_LOG_RETENTION_MS) || 15 * 60 * 1000 // Older events require a resync
+  },
+  roomAuthorization: {
+    // Roles allowed into every patient, provider and consultation room
+    staffRoles: (process.env.ROOM_STAFF_ROLES || 'admin,emergency')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean)
+  },
+  socketRateLimit: {
+    // capacity/refillPerSecond apply per socket, userCapacity/userRefillPerSecond across
+    // all of a user's sockets. Over-limit events are dropped or, in 'queue' mode,
+    // delayed until tokens are available (up to maxQueued per socket and event).
+    default: { capacity: 30, refillPerSecond: 10, userCapacity: 60, userRefillPerSecond: 20, mode: 'drop' },
+    events: mergeRateLimits({
+      'vital-signs-update': { capacity: 5, refillPerSecond: 1, userCapacity: 20, userRefillPerSecond: 4, mode: 'queue' },
+      'device-status-update': { capacity: 5, refillPerSecond: 1, userCapacity: 20, userRefillPerSecond: 4, mode: 'queue' },
+      'emergency-alert': { capacity: 3, refillPerSecond: 0.1, userCapacity: 5, userRefillPerSecond: 0.2, mode: 'drop' },
+      'fall-detected': { capacity: 3, refillPerSecond: 0.2, userCapacity: 10, userRefillPerSecond: 0.5, mode: 'drop' },
+      'geofence-breach': { capacity: 3, refillPerSecond: 0.2, userCapacity: 10, userRefillPerSecond: 0.5, mode: 'drop' },
+      'consultation-chat': { capacity: 10, refillPerSecond: 2, userCapacity: 20, userRefillPerSecond: 4, mode: 'queue' },
+      'webrtc-ice-candidate': { capacity: 100, refillPerSecond: 50, userCapacity: 200, userRefillPerSecond: 100, mode: 'drop' }
+    }, process.env.SOCKET_RATE_LIMITS), // JSON object of per-event overrides
+    maxQueued: parseInt(process.env.SOCKET_RATE_LIMIT_MAX_QUEUED) || 10,
+    // Disconnect sockets with this many over-limit events within the window
+    disconnectAfterViolations: parseInt(process.env.SOCKET_RATE_LIMIT_DISCONNECT_AFTER) || 50,
+    violationWindowMs: parseInt(process.env.SOCKET_RATE_LIMIT_WINDOW_MS) || 60000
+  },
+  scheduler: {
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000,
+    lockMs: parseInt(process.env.SCHEDULER_LOCK_MS) || 60000, // How long a claimed job may run before another instance retries it
+    maxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3
+  },
+  socketAdapter: {
+    // Fan out Socket.IO broadcasts to the other instances through RabbitMQ (used with the amqp broker)
+    exchange: process.env.SOCKET_ADAPTER_EXCHANGE || 'healthcare.socketio',
+    heartbeatInterval: parseInt(process.env.SOCKET_ADAPTER_HEARTBEAT_INTERVAL) || 5000,
+    heartbeatTimeout: parseInt(process.env.SOCKET_ADAPTER_HEARTBEAT_TIMEOUT) || 10000
+  },
+  presence: {
+    // Each instance refreshes its connections this often; connections not refreshed
+    // within timeoutMs (e.g. their instance stopped) are dropped
+    heartbeatIntervalMs: parseInt(process.env.PRESENCE_HEARTBEAT_INTERVAL_MS) || 30000,
+    timeoutMs: parseInt(process.env.PRESENCE_TIMEOUT_MS) || 90000
+  },
+  waitingRoom: {
+    // Estimated waits use the provider's average over their last sampleSize consultations,
+    // or defaultConsultationMinutes until they have any
+    defaultConsultationMinutes: parseInt(process.env.WAITING_ROOM_DEFAULT_CONSULTATION_MINUTES) || 15,
+    sampleSize: parseInt(process.env.WAITING_ROOM_SAMPLE_SIZE) || 20
+  },
+  recordings: {
+    // Kept outside the public uploads directory; files are only served through access-checked endpoints
+    storageDir: process.env.RECORDING_STORAGE_DIR || path.join(__dirname, '../../recordings'),
+    maxChunkBytes: parseInt(process.env.RECORDING_MAX_CHUNK_BYTES) || 8 * 1024 * 1024,
+    retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS) || 365,
+    abandonedUploadHours: parseInt(process.env.RECORDING_ABANDONED_UPLOAD_HOURS) || 24, // Unfinished uploads are purged after this
+    retentionSchedule: process.env.RECORDING_RETENTION_SCHEDULE || '30 3 * * *'
   },
   jwtSecret: process.env.JWT_SECRET || 'defaultSecret',
   email: {
@@ -18,6 +135,15 @@ module.exports = {
     iceServers: [
       { urls: 'stun:stun.l.google.com:19302' },
       { urls: 'stun:stun1.l.google.com:19302' }
-    ]
+    ],
+    // TURN relays for networks where peers cannot connect directly (e.g. symmetric NATs).
+    // Credentials follow the TURN REST API scheme, so secret must match coturn's
+    // static-auth-secret (with use-auth-secret). TURN is left out until both are set.
+    turn: {
+      // Comma-separated, e.g. turn:turn.example.org:3478,turns:turn.example.org:5349
+      urls: (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+      secret: process.env.TURN_SECRET,
+      credentialTtlSeconds: parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 3600
+    }
   }
 };
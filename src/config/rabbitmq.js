@@ -1,6 +1,67 @@
 const { rabbitmq } = require('./config');
 
+// Name of the delay queue that holds a message before its next attempt
+function getRetryQueueName(queue, delay) {
+  return `${queue}.retry.${delay}`;
+}
+
+// Assert the topic exchange that domain events and messages are published to
+async function assertExchangeTopology(channel) {
+  await channel.assertExchange(rabbitmq.exchange, 'topic', { durable: true });
+}
+
+// Assert the dead-letter exchange and queue shared by all consumers
+async function assertDeadLetterTopology(channel) {
+  await channel.assertExchange(rabbitmq.deadLetterExchange, 'fanout', { durable: true });
+  await channel.assertQueue(rabbitmq.deadLetterQueue, { durable: true });
+  await channel.bindQueue(rabbitmq.deadLetterQueue, rabbitmq.deadLetterExchange, '');
+}
+
+// Assert a durable work queue together with its retry delay queues.
+// Rejected messages go to the dead-letter exchange; retry queues hold a
+// message for their TTL and then route it back to the work queue.
+async function assertQueueTopology(channel, queue) {
+  await assertDeadLetterTopology(channel);
+
+  try {
+    await channel.assertQueue(queue, {
+      durable: true,
+      arguments: {
+        'x-dead-letter-exchange': rabbitmq.deadLetterExchange
+      }
+    });
+  } catch (error) {
+    // PRECONDITION_FAILED: the queue exists with other settings, such as the
+    // non-durable queue declared by versions before dead-lettering
+    if (error.code === 406) {
+      throw new Error(`Queue ${queue} already exists with different settings. Delete it, or set QUEUE to a new name, before starting this version (${error.message})`);
+    }
+    throw error;
+  }
+
+  for (const delay of rabbitmq.retryDelays) {
+    await channel.assertQueue(getRetryQueueName(queue, delay), {
+      durable: true,
+      arguments: {
+        'x-message-ttl': delay,
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': queue
+      }
+    });
+  }
+}
+
 module.exports = {
   url: rabbitmq.url,
-  queue: rabbitmq.queue
-};
\ No newline at end of file
+  queue: rabbitmq.queue,
+  exchange: rabbitmq.exchange,
+  reconnect: rabbitmq.reconnect,
+  deadLetterExchange: rabbitmq.deadLetterExchange,
+  deadLetterQueue: rabbitmq.deadLetterQueue,
+  retryDelays: rabbitmq.retryDelays,
+  prefetch: rabbitmq.prefetch,
+  getRetryQueueName,
+  assertExchangeTopology,
+  assertDeadLetterTopology,
+  assertQueueTopology
+};
@@ -0,0 +1,24 @@
+const { parseDomainEvent } = require('../utils/domainEvent');
+const eventLogService = require('../services/eventLogService');
+
+// Pushes appointment changes to the patient's and provider's rooms
+function createAppointmentConsumer(io) {
+  return {
+    name: 'appointments',
+    queue: 'appointments.events',
+    bindings: ['appointment.*'],
+    handler: async (msg) => {
+      const { routingKey, occurredAt, data } = parseDomainEvent(msg.content.toString());
+
+      eventLogService.emit(io, [`patient-${data.patientId}`, `provider-${data.providerId}`], 'appointment-update', {
+        action: routingKey.split('.').pop(),
+        appointmentId: data.appointmentId,
+        status: data.status,
+        scheduledDateTime: data.scheduledDateTime,
+        timestamp: occurredAt
+      });
+    }
+  };
+}
+
+module.exports = createAppointmentConsumer;
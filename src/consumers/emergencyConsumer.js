@@ -0,0 +1,31 @@
+const { parseDomainEvent } = require('../utils/domainEvent');
+const eventLogService = require('../services/eventLogService');
+
+// Pushes emergency alert lifecycle changes to the patient's room and the assigned responder
+function createEmergencyConsumer(io) {
+  return {
+    name: 'emergency',
+    queue: 'emergency.alerts',
+    bindings: ['emergency.alert.*'],
+    handler: async (msg) => {
+      const { routingKey, occurredAt, data } = parseDomainEvent(msg.content.toString());
+
+      const rooms = [`patient-${data.patientId}`];
+      if (data.assignedTo) {
+        rooms.push(`provider-${data.assignedTo}`);
+      }
+
+      eventLogService.emit(io.of('/emergency'), rooms, 'emergency-alert-lifecycle', {
+        action: routingKey.split('.').pop(),
+        alertId: data.alertId,
+        patientId: data.patientId,
+        status: data.status,
+        severity: data.severity,
+        escalationLevel: data.escalationLevel,
+        timestamp: occurredAt
+      });
+    }
+  };
+}
+
+module.exports = createEmergencyConsumer;
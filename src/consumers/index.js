@@ -0,0 +1,17 @@
+const createMessagingConsumer = require('./messagingConsumer');
+const createVitalsConsumer = require('./vitalsConsumer');
+const createEmergencyConsumer = require('./emergencyConsumer');
+const createAppointmentConsumer = require('./appointmentConsumer');
+
+// Each subsystem consumes from its own queue, bound to the routing keys it cares about.
+// Add a consumer here to subscribe to new events without touching the publishers.
+function createConsumers(io) {
+  return [
+    createMessagingConsumer(io),
+    createVitalsConsumer(io),
+    createEmergencyConsumer(io),
+    createAppointmentConsumer(io)
+  ];
+}
+
+module.exports = { createConsumers };
@@ -0,0 +1,53 @@
+const { queue } = require('../config/rabbitmq');
+const { addMessageToHistory } = require('../services/historyService');
+const eventLogService = require('../services/eventLogService');
+const { parseEnvelope, getEnvelopeRooms } = require('../utils/messageEnvelope');
+
+// Delivers message envelopes published under messaging.<type> and stores them in history
+function createMessagingConsumer(io) {
+  return {
+    name: 'messaging',
+    queue,
+    bindings: ['messaging.#'],
+    handler: async (msg, attempt) => {
+      const messageContent = msg.content.toString();
+      const { envelope, errors } = parseEnvelope(messageContent);
+
+      if (!envelope) {
+        const error = new Error(`Malformed message envelope: ${errors.map(e => `${e.path} ${e.message}`).join(', ')}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      // Only the history write is retried; recipients already got the message
+      if (attempt === 0) {
+        console.log(`Received ${envelope.type} message ${envelope.messageId}`);
+        // Consultation rooms live in the /consultation namespace
+        const rooms = getEnvelopeRooms(envelope);
+        const consultationRooms = rooms.filter(room => room.startsWith('consultation-'));
+        const otherRooms = rooms.filter(room => !room.startsWith('consultation-'));
+        if (consultationRooms.length > 0) {
+          eventLogService.emit(io.of('/consultation'), consultationRooms, 'new_message', envelope);
+        }
+        if (otherRooms.length > 0) {
+          eventLogService.emit(io, otherRooms, 'new_message', envelope);
+        }
+      }
+
+      await addMessageToHistory({
+        messageId: envelope.messageId,
+        type: envelope.type,
+        content: messageContent,
+        payload: envelope.payload,
+        recipients: envelope.recipients,
+        rooms: envelope.rooms,
+        correlationId: envelope.correlationId,
+        queue,
+        senderId: envelope.senderId,
+        receivedAt: new Date()
+      });
+    }
+  };
+}
+
+module.exports = createMessagingConsumer;
@@ -0,0 +1,29 @@
+const { parseDomainEvent } = require('../utils/domainEvent');
+const eventLogService = require('../services/eventLogService');
+
+// Notifies a patient's primary care provider about recorded and critical vital signs
+function createVitalsConsumer(io) {
+  return {
+    name: 'vitals',
+    queue: 'monitoring.vitals',
+    bindings: ['clinical.vitals.*'],
+    handler: async (msg) => {
+      const { routingKey, occurredAt, data } = parseDomainEvent(msg.content.toString());
+
+      if (!data.primaryCareProvider) {
+        return;
+      }
+
+      const eventName = routingKey === 'clinical.vitals.critical' ? 'critical-vitals-alert' : 'vital-signs-recorded';
+      eventLogService.emit(io.of('/monitoring'), `provider-${data.primaryCareProvider}`, eventName, {
+        recordId: data.recordId,
+        patientId: data.patientId,
+        alerts: data.alerts,
+        overallStatus: data.overallStatus,
+        timestamp: occurredAt
+      });
+    }
+  };
+}
+
+module.exports = createVitalsConsumer;
@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/config');
+
+// Token from the handshake auth payload, falling back to an Authorization header
+function getHandshakeToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Socket.IO counterpart of authenticateToken: refuses the connection unless the
+// handshake carries a valid JWT, and attaches the decoded user to the socket
+function authenticateSocket(socket, next) {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) return next(new Error('Access token missing'));
+
+  jwt.verify(token, jwtSecret, (err, user) => {
+    if (err) return next(new Error('Invalid access token'));
+    socket.user = user;
+    socket.userId = user.id;
+    socket.role = user.role;
+    // socket.data is visible to fetchSockets() on every instance
+    socket.data.userId = String(user.id);
+    socket.data.role = user.role;
+    next();
+  });
+}
+
+module.exports = authenticateSocket;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String, // Role from the user's token at the time of the action
+  action: {
+    type: String,
+    required: true // e.g. room.join
+  },
+  resource: {
+    type: String,
+    required: true // e.g. patient-<id>
+  },
+  outcome: {
+    type: String,
+    enum: ['allowed', 'denied'],
+    required: true
+  },
+  code: String, // Error code returned to the client on denial
+  reason: String,
+  socketId: String,
+  ipAddress: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ resource: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, outcome: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
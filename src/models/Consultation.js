@@ -31,7 +31,7 @@ const consultationSchema = new mongoose.Schema({
     enum: ['waiting', 'active', 'ended', 'cancelled'],
     default: 'waiting'
   },
-  startTime: Date,
+  startTime: Date, // When the provider admitted the patient
   endTime: Date,
   duration: Number, // in minutes
   participants: [{
@@ -45,26 +45,95 @@ const consultationSchema = new mongoose.Schema({
     },
     joinedAt: Date,
     leftAt: Date,
+    muted: Boolean, // Observers join muted; the provider can unmute them
     connectionQuality: {
       type: String,
       enum: ['excellent', 'good', 'fair', 'poor']
     }
   }],
+  // Observers (e.g. residents, supervisors) invited by the provider. They may join
+  // only once the patient has consented.
+  observers: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: Date,
+    reason: String, // e.g. "resident training", "supervision"
+    status: {
+      type: String,
+      enum: ['pending', 'consented', 'declined', 'revoked'],
+      default: 'pending'
+    },
+    respondedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: Date
+  }],
+  // Lobby state: the patient waits here until the provider admits them
+  waitingRoom: {
+    patientJoinedAt: Date,
+    admittedAt: Date,
+    admittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   recording: {
     isRecorded: {
       type: Boolean,
       default: false
     },
-    recordingUrl: String,
+    recordingId: String, // Current or last Recording, see models/Recording
+    recordingUrl: String, // Access-checked playback URL, once the upload is complete
     recordingSize: Number, // in MB
     consentGiven: {
       patient: Boolean,
       provider: Boolean
     },
     recordingStartTime: Date,
-    recordingEndTime: Date
+    recordingEndTime: Date,
+    // Current consent request. Recording needs every required party's latest
+    // decision on it to be an acceptance.
+    consentRequest: {
+      requestId: String,
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date,
+      requiredParties: [{
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        role: String // patient, provider or observer
+      }]
+    },
+    // Every request, decision, start and stop, in order; exported for compliance
+    consentTrail: [{
+      event: {
+        type: String,
+        enum: ['requested', 'accepted', 'declined', 'withdrawn', 'recording_started', 'recording_stopped']
+      },
+      requestId: String,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: String,
+      at: Date,
+      reason: String // e.g. consent_withdrawn or participant_joined for an automatic stop
+    }]
   },
   chatMessages: [{
+    messageId: String, // Server-assigned; receipts refer to it
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -81,6 +150,21 @@ const consultationSchema = new mongoose.Schema({
       fileUrl: String,
       fileType: String,
       fileSize: Number
+    }],
+    // Receipts from each participant other than the sender
+    deliveredTo: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date
+    }],
+    readBy: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date
     }]
   }],
   screenSharing: [{
@@ -159,6 +243,8 @@ consultationSchema.index({ appointment: 1 });
 consultationSchema.index({ patient: 1, startTime: -1 });
 consultationSchema.index({ provider: 1, startTime: -1 });
 consultationSchema.index({ status: 1 });
+consultationSchema.index({ provider: 1, status: 1, 'waitingRoom.patientJoinedAt': 1 });
+consultationSchema.index({ 'observers.userId': 1 });
 consultationSchema.index({ startTime: 1 });
 
 module.exports = mongoose.model('Consultation', consultationSchema);
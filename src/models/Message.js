@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  type: String,
+  content: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  recipients: [String], // User ids
+  rooms: [String],
+  correlationId: String,
+  queue: {
+    type: String,
+    required: true
+  },
+  senderId: {
+    type: String // User id, or absent for system/CLI publishers
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (messageId index created automatically by unique: true)
+messageSchema.index({ receivedAt: -1 });
+messageSchema.index({ queue: 1, receivedAt: -1 });
+messageSchema.index({ senderId: 1, receivedAt: -1 });
+messageSchema.index({ correlationId: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const messageThreadSchema = new mongoose.Schema({
+  threadId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  providers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider'
+  }],
+  participants: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['patient', 'provider'],
+      required: true
+    },
+    archivedAt: Date // Set while this participant has the thread archived
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: Date,
+  lastMessagePreview: {
+    type: String,
+    maxlength: 200
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (threadId index created automatically by unique: true)
+messageThreadSchema.index({ 'participants.userId': 1, lastMessageAt: -1 });
+messageThreadSchema.index({ patient: 1, lastMessageAt: -1 });
+messageThreadSchema.index({ providers: 1 });
+
+module.exports = mongoose.model('MessageThread', messageThreadSchema);
@@ -58,6 +58,10 @@ const patientSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Provider'
   },
+  careTeam: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider'
+  }],
   vitalSigns: {
     height: Number, // in cm
     weight: Number, // in kg
@@ -94,6 +98,7 @@ const patientSchema = new mongoose.Schema({
 
 // Indexes for faster queries (userId and medicalRecordNumber indexes created automatically by unique: true)
 patientSchema.index({ primaryCareProvider: 1 });
+patientSchema.index({ careTeam: 1 });
 patientSchema.index({ bloodType: 1 });
 patientSchema.index({ 'insurance.provider': 1 });
 
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const presenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  role: String, // Role from the user's token
+  status: {
+    type: String,
+    enum: ['online', 'away', 'busy', 'offline'],
+    default: 'offline'
+  },
+  // One entry per client connection (all namespaces of a connection share it)
+  connections: [{
+    connectionId: String,
+    instanceId: String, // Server instance holding the connection
+    state: {
+      type: String,
+      enum: ['active', 'away'],
+      default: 'active'
+    },
+    sessionId: String, // Consultation the connection is in, which makes the user busy
+    connectedAt: Date,
+    lastHeartbeatAt: Date
+  }],
+  lastSeenAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (userId index created automatically by unique: true)
+presenceSchema.index({ role: 1, status: 1 });
+presenceSchema.index({ 'connections.instanceId': 1 });
+presenceSchema.index({ 'connections.lastHeartbeatAt': 1 });
+
+module.exports = mongoose.model('Presence', presenceSchema);
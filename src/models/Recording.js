@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A consultation recording. Clients upload it in numbered chunks while recording;
+// once the upload is complete the chunks are assembled into one stored file.
+const recordingSchema = new mongoose.Schema({
+  recordingId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  consultation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultation',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mimeType: {
+    type: String,
+    enum: ['video/webm', 'video/mp4', 'audio/webm', 'audio/ogg'],
+    default: 'video/webm'
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed', 'purged'],
+    default: 'uploading'
+  },
+  // Chunks received so far, so an interrupted upload can resume
+  chunks: [{
+    index: Number,
+    size: Number, // in bytes
+    checksum: String, // SHA-256, hex
+    receivedAt: Date
+  }],
+  storagePath: String, // Assembled file, relative to the storage directory
+  size: Number, // in bytes
+  checksum: String, // SHA-256 of the assembled file, hex
+  durationSeconds: Number,
+  startedAt: Date,
+  endedAt: Date,
+  completedAt: Date,
+  expiresAt: Date, // Purged by the retention job after this
+  purgedAt: Date,
+  accessLog: [{
+    accessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    accessedAt: Date,
+    action: {
+      type: String,
+      enum: ['stream', 'download']
+    },
+    ipAddress: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (recordingId index created automatically by unique: true)
+recordingSchema.index({ consultation: 1, createdAt: -1 });
+recordingSchema.index({ patient: 1, createdAt: -1 });
+recordingSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Recording', recordingSchema);
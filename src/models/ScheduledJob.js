@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true // e.g. emergency.escalate
+  },
+  key: {
+    type: String,
+    required: true // What the job belongs to, e.g. the alert ID; used to cancel it
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  lockedBy: String, // Instance running the job
+  lockedUntil: Date, // After this the job is considered abandoned and runs again
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ type: 1, key: 1, status: 1 });
+// Finished jobs are removed after a week
+scheduledJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const threadMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageThread',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['patient', 'provider'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  attachments: [{
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: Number
+  }],
+  readBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries (messageId index created automatically by unique: true)
+threadMessageSchema.index({ thread: 1, createdAt: -1 });
+threadMessageSchema.index({ thread: 1, 'readBy.userId': 1 });
+
+module.exports = mongoose.model('ThreadMessage', threadMessageSchema);
@@ -2,9 +2,14 @@
 
 // Global variables
 let socket;
+let consultationSocket;
+let monitoringSocket;
+let emergencySocket;
 let localStream;
 let remoteStream;
 let peerConnection;
+let remotePeer; // { userId, socketId } of the participant this peer connection talks to
+let iceServersTimer;
 let isMonitoring = false;
 let monitoringInterval;
 
@@ -18,9 +23,17 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // Socket.IO initialization
 function initializeSocket() {
-    socket = io();
+    // The server refuses connections without a valid JWT
+    socket = io({
+        auth: { token: localStorage.getItem('token') }
+    });
     
     // Connection events
+    socket.on('connect_error', (error) => {
+        console.error('Socket connection refused:', error.message);
+        updateConnectionStatus(false);
+    });
+    
     socket.on('connect', () => {
         console.log('Connected to server');
         updateConnectionStatus(true);
@@ -31,21 +44,54 @@ function initializeSocket() {
         updateConnectionStatus(false);
     });
     
+    // Report whether the user is active or away (tab hidden)
+    const sendPresence = () => socket.emit('presence-heartbeat', {
+        state: document.visibilityState === 'hidden' ? 'away' : 'active'
+    }, logAck('Presence heartbeat'));
+    document.addEventListener('visibilitychange', sendPresence);
+    setInterval(sendPresence, 60000);
+    
+    // Domain namespaces share the same connection
+    monitoringSocket = connectNamespace('/monitoring');
+    emergencySocket = connectNamespace('/emergency');
+    consultationSocket = connectNamespace('/consultation');
+    
     // Real-time events
-    socket.on('vital-signs-update', handleVitalSignsUpdate);
-    socket.on('emergency-alert', handleEmergencyAlert);
-    socket.on('emergency-vital-alert', handleCriticalVitalAlert);
-    socket.on('device-status-update', handleDeviceStatusUpdate);
-    socket.on('fall-detection-alert', handleFallDetectionAlert);
-    socket.on('medication-reminder', handleMedicationReminder);
+    monitoringSocket.on('vital-signs-update', handleVitalSignsUpdate);
+    monitoringSocket.on('device-status-update', handleDeviceStatusUpdate);
+    monitoringSocket.on('medication-reminder', handleMedicationReminder);
+    emergencySocket.on('emergency-alert', handleEmergencyAlert);
+    emergencySocket.on('emergency-vital-alert', handleCriticalVitalAlert);
+    emergencySocket.on('fall-detection-alert', handleFallDetectionAlert);
     
     // Video consultation events
-    socket.on('user-joined', handleUserJoined);
-    socket.on('user-left', handleUserLeft);
-    socket.on('offer', handleOffer);
-    socket.on('answer', handleAnswer);
-    socket.on('ice-candidate', handleIceCandidate);
-    socket.on('consultation-message', handleConsultationMessage);
+    consultationSocket.on('participant-joined', (data) => {
+        remotePeer = { userId: data.userId, socketId: data.socketId };
+    });
+    consultationSocket.on('user-joined', handleUserJoined);
+    consultationSocket.on('user-left', handleUserLeft);
+    consultationSocket.on('offer', handleOffer);
+    consultationSocket.on('answer', handleAnswer);
+    consultationSocket.on('ice-candidate', handleIceCandidate);
+    consultationSocket.on('consultation-message', handleConsultationMessage);
+    consultationSocket.on('waiting-room-status', showWaitingRoomStatus);
+    consultationSocket.on('waiting-room-admitted', ({ sessionId }) => joinConsultationRoom(sessionId));
+    consultationSocket.on('observer-removed', () => showAlert('You are no longer observing this consultation', 'warning'));
+}
+
+function connectNamespace(namespace) {
+    return io(namespace, {
+        auth: { token: localStorage.getItem('token') }
+    });
+}
+
+// Log actions the server refused
+function logAck(action) {
+    return (response) => {
+        if (response && !response.success) {
+            console.error(`${action} failed:`, response.error.code, response.error.message);
+        }
+    };
 }
 
 // WebRTC initialization
@@ -60,11 +106,14 @@ function initializeWebRTC() {
     peerConnection = new RTCPeerConnection(configuration);
     
     peerConnection.onicecandidate = (event) => {
-        if (event.candidate) {
-            socket.emit('ice-candidate', {
+        // Signaling goes to one peer only
+        if (event.candidate && remotePeer) {
+            consultationSocket.emit('webrtc-ice-candidate', {
                 sessionId: getCurrentSessionId(),
-                candidate: event.candidate
-            });
+                candidate: event.candidate,
+                targetUserId: remotePeer.userId,
+                targetSocketId: remotePeer.socketId
+            }, logAck('ICE candidate'));
         }
     };
     
@@ -125,7 +174,7 @@ function startMonitoring() {
     isMonitoring = true;
     
     // Join patient monitoring room
-    socket.emit('join-patient-monitoring', { patientId, deviceId });
+    monitoringSocket.emit('join-patient-room', { patientId }, logAck('Join patient room'));
     
     // Start simulated monitoring
     monitoringInterval = setInterval(() => {
@@ -170,7 +219,7 @@ function simulateVitalSigns(type) {
     const patientId = document.getElementById('patientId').value || 'demo-patient-001';
     const deviceId = document.getElementById('deviceId').value || 'demo-device-001';
     
-    socket.emit('vital-signs-update', {
+    monitoringSocket.emit('vital-signs-update', {
         patientId,
         deviceId,
         measurements: {
@@ -187,7 +236,7 @@ function simulateVitalSigns(type) {
             longitude: -74.0060,
             address: "Demo Location"
         }
-    });
+    }, logAck('Vital signs update'));
 }
 
 function simulateNormalVitals() {
@@ -275,7 +324,7 @@ function sendVitalSigns(vitals) {
     const patientId = document.getElementById('patientId').value || 'demo-patient-001';
     const deviceId = document.getElementById('deviceId').value || 'demo-device-001';
     
-    socket.emit('vital-signs-update', {
+    monitoringSocket.emit('vital-signs-update', {
         patientId,
         deviceId,
         measurements: {
@@ -292,7 +341,7 @@ function sendVitalSigns(vitals) {
             longitude: -74.0060,
             address: "Demo Location"
         }
-    });
+    }, logAck('Vital signs update'));
 }
 
 // Emergency Response Functions
@@ -366,19 +415,24 @@ function triggerPanicButton() {
         }
     };
     
-    // Send panic button alert
-    socket.emit('emergency-alert', emergencyData);
-    
-    showAlert('🚨 PANIC BUTTON ACTIVATED - Emergency services notified!', 'danger');
-    
-    // Add to emergency list
-    const panicAlert = {
-        alertId: 'PANIC-' + Date.now(),
-        ...emergencyData,
-        status: 'active',
-        createdAt: new Date()
-    };
-    addEmergencyToList(panicAlert);
+    // Send panic button alert; the acknowledgement carries the stored alert
+    emergencySocket.emit('emergency-alert', emergencyData, (response) => {
+        if (!response.success) {
+            logAck('Emergency alert')(response);
+            showAlert('Emergency alert could not be sent: ' + response.error.message, 'danger');
+            return;
+        }
+        
+        showAlert('🚨 PANIC BUTTON ACTIVATED - Emergency services notified!', 'danger');
+        
+        // Add to emergency list
+        addEmergencyToList({
+            ...emergencyData,
+            alertId: response.data.alertId,
+            status: response.data.status,
+            createdAt: new Date()
+        });
+    });
 }
 
 // Video Consultation Functions
@@ -395,7 +449,6 @@ function initializeVideoConsultation() {
 
 async function joinConsultation() {
     const sessionId = document.getElementById('sessionId').value;
-    const userType = document.getElementById('userType').value;
     
     if (!sessionId) {
         showAlert('Please enter a session ID', 'warning');
@@ -420,9 +473,7 @@ async function joinConsultation() {
         });
         
         // Join consultation room
-        socket.emit('join-consultation', { sessionId, userType });
-        
-        showAlert('Joined consultation successfully', 'success');
+        joinConsultationRoom(sessionId);
         updateConsultationStatus(true);
         
     } catch (error) {
@@ -431,6 +482,55 @@ async function joinConsultation() {
     }
 }
 
+// Join the consultation, or its waiting room until the provider admits the patient
+function joinConsultationRoom(sessionId) {
+    consultationSocket.emit('join-consultation', { sessionId }, (response) => {
+        logAck('Join consultation')(response);
+        if (!response.success) return;
+
+        if (response.data.waiting) {
+            showWaitingRoomStatus(response.data);
+            return;
+        }
+
+        showAlert('Joined consultation successfully', 'success');
+        refreshIceServers(sessionId);
+        // Observers join muted: the server only relays their receive-only offers and answers
+        if (response.data.muted) {
+            peerConnection.getTransceivers().forEach(transceiver => { transceiver.direction = 'recvonly'; });
+        }
+        // Talk to the participant who joined first, if any
+        if (response.data.participants.length > 0) {
+            const [peer] = response.data.participants;
+            remotePeer = { userId: peer.userId, socketId: peer.socketId };
+        }
+    });
+}
+
+// Use the session's TURN servers, fetching fresh credentials before they expire
+function refreshIceServers(sessionId) {
+    clearTimeout(iceServersTimer);
+    fetch(`/api/consultations/${sessionId}/ice-servers`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    })
+    .then(response => response.json())
+    .then(({ success, data, error }) => {
+        if (!success) {
+            console.error('Could not get ICE servers:', error);
+            return;
+        }
+        peerConnection.setConfiguration({ ...peerConnection.getConfiguration(), iceServers: data.iceServers });
+        if (data.refreshAt) {
+            iceServersTimer = setTimeout(() => refreshIceServers(sessionId), new Date(data.refreshAt) - Date.now());
+        }
+    })
+    .catch(error => console.error('Could not get ICE servers:', error));
+}
+
+function showWaitingRoomStatus({ position, estimatedWaitMinutes }) {
+    showAlert(`Waiting for the provider: you are number ${position} in line (about ${estimatedWaitMinutes} min)`, 'info');
+}
+
 function leaveConsultation() {
     const sessionId = document.getElementById('sessionId').value;
     
@@ -445,7 +545,8 @@ function leaveConsultation() {
     if (localVideo) localVideo.srcObject = null;
     if (remoteVideo) remoteVideo.srcObject = null;
     
-    socket.emit('leave-consultation', { sessionId });
+    clearTimeout(iceServersTimer);
+    consultationSocket.emit('leave-consultation', { sessionId }, logAck('Leave consultation'));
     
     showAlert('Left consultation', 'info');
     updateConsultationStatus(false);
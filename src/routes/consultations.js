@@ -1,7 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const consultationService = require('../services/consultationService');
+const roomAuthorizationService = require('../services/roomAuthorizationService');
 const authenticateToken = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+
+// HTTP status for a refused consultation access decision
+function getDenialStatus(decision) {
+  const { errorCodes } = roomAuthorizationService;
+  if (decision.code === errorCodes.NOT_FOUND) return 404;
+  if (decision.code === errorCodes.FORBIDDEN) return 403;
+  return 400;
+}
+
+// Refusal of an action reserved to the session's participants, or null when allowed.
+// Observers, staff roles included, need the patient's consent, as when joining.
+function getParticipantDenial(decision) {
+  if (!decision.allowed) {
+    return { status: getDenialStatus(decision), error: decision.reason };
+  }
+  if (decision.participantRole === 'observer' && decision.reason !== 'consented_observer') {
+    return { status: 403, error: 'The patient has not consented to this observer' };
+  }
+  return null;
+}
 
 /**
  * @swagger
@@ -39,7 +61,7 @@ const authenticateToken = require('../middleware/auth');
  * /api/consultations:
  *   post:
  *     summary: Create a new consultation session
- *     description: Create a new video/audio consultation session for an appointment
+ *     description: Create a new video/audio consultation session for an appointment. If the provider is connected, they are sent consultation-ready; `routing` reports the provider's presence status and whether they were notified.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -74,10 +96,16 @@ router.post('/', authenticateToken, async (req, res) => {
     const { appointmentId, type = 'video' } = req.body;
     
     const consultation = await consultationService.createConsultationSession(appointmentId, type);
+    // The session exists by now, so a failed notification must not fail the request
+    const routing = await consultationService.notifyProvider(consultation).catch((error) => {
+      console.error(error.message);
+      return { providerStatus: null, notified: false };
+    });
     
     res.status(201).json({
       success: true,
       data: consultation,
+      routing,
       message: 'Consultation session created successfully'
     });
   } catch (error) {
@@ -93,7 +121,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * /api/consultations/{sessionId}/join:
  *   post:
  *     summary: Join a consultation session
- *     description: Join an existing consultation session
+ *     description: Join an existing consultation session. A patient who joins before the provider has admitted them enters the waiting room; the response then carries `waitingRoom` with their queue `position` and `estimatedWaitMinutes`. Observers need an invitation the patient has consented to, and join muted.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -137,7 +165,9 @@ router.post('/:sessionId/join', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: result,
-      message: 'Successfully joined consultation session'
+      message: result.waitingRoom
+        ? 'Waiting for the provider to admit you'
+        : 'Successfully joined consultation session'
     });
   } catch (error) {
     res.status(400).json({
@@ -191,12 +221,131 @@ router.post('/:sessionId/leave', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/ice-servers:
+ *   get:
+ *     summary: Get ICE servers
+ *     description: STUN and TURN servers for the session's peer connections. TURN credentials are issued for the caller and this session and expire at expiresAt; fetch fresh ones at refreshAt and pass them to RTCPeerConnection.setConfiguration.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ICE servers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 iceServers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 iceCandidatePoolSize:
+ *                   type: integer
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 refreshAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: The session has ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant, or an observer without the patient's consent
+ *       404:
+ *         description: Consultation session not found
+ */
+router.get('/:sessionId/ice-servers', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const decision = await roomAuthorizationService.authorizeConsultationRoom(req.user, sessionId);
+    const denial = getParticipantDenial(decision);
+    if (denial) {
+      return res.status(denial.status).json({
+        success: false,
+        error: denial.error
+      });
+    }
+    if (['ended', 'cancelled'].includes(decision.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Consultation session is ${decision.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: consultationService.getWebRTCConfig(req.user.id, sessionId),
+      message: 'ICE servers retrieved successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/admit:
+ *   post:
+ *     summary: Admit the waiting patient
+ *     description: Admit the patient from the waiting room (the consultation's provider only). This starts the session; its status becomes active and startTime is the admission time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient admitted and session started
+ *       400:
+ *         description: Not the provider, or the patient is not in the waiting room
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:sessionId/admit', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const consultation = await consultationService.admitPatient(sessionId, userId);
+
+    res.json({
+      success: true,
+      data: consultation,
+      message: 'Patient admitted to consultation session'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/consultations/{sessionId}/chat:
  *   post:
  *     summary: Send a chat message
- *     description: Send a chat message during a consultation session
+ *     description: Send a chat message during an active consultation session (participants only). It is stored with a server-assigned messageId and timestamp and broadcast to the session's Socket.IO room.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -240,6 +389,8 @@ router.post('/:sessionId/leave', authenticateToken, async (req, res) => {
  *         description: Invalid request data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not a participant of this consultation
  *       404:
  *         description: Consultation session not found
  */
@@ -247,14 +398,20 @@ router.post('/:sessionId/chat', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { message, messageType = 'text', attachments = [] } = req.body;
-    const senderId = req.user.id;
+
+    const decision = await roomAuthorizationService.authorizeConsultationRoom(req.user, sessionId);
+    const denial = getParticipantDenial(decision);
+    if (denial) {
+      return res.status(denial.status).json({
+        success: false,
+        error: denial.error
+      });
+    }
     
     const chatMessage = await consultationService.sendChatMessage(
-      sessionId, 
-      senderId, 
-      message, 
-      messageType, 
-      attachments
+      sessionId,
+      { userId: req.user.id, role: req.user.role },
+      { message, messageType, attachments }
     );
     
     res.json({
@@ -270,6 +427,308 @@ router.post('/:sessionId/chat', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/chat:
+ *   get:
+ *     summary: Get chat messages
+ *     description: Load a consultation's chat messages with their receipts (participants and consented observers only). Page 1 holds the most recent messages; higher pages go back in time. Messages within a page are in chronological order.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Chat messages retrieved successfully
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant of this consultation
+ *       404:
+ *         description: Consultation session not found
+ */
+router.get('/:sessionId/chat', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const decision = await roomAuthorizationService.authorizeConsultationRoom(req.user, sessionId);
+    const denial = getParticipantDenial(decision);
+    if (denial) {
+      return res.status(denial.status).json({
+        success: false,
+        error: denial.error
+      });
+    }
+
+    const result = await consultationService.getChatMessages(sessionId, limit, page);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/observers:
+ *   get:
+ *     summary: List observers
+ *     description: Observer invitations of a consultation with their consent status, and whether each observer is connected and muted (participants and consented observers only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Observers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant of this consultation
+ *       404:
+ *         description: Consultation session not found
+ */
+router.get('/:sessionId/observers', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const decision = await roomAuthorizationService.authorizeConsultationRoom(req.user, sessionId);
+    const denial = getParticipantDenial(decision);
+    if (denial) {
+      return res.status(denial.status).json({
+        success: false,
+        error: denial.error
+      });
+    }
+
+    const observers = await consultationService.getObservers(sessionId);
+
+    res.json({
+      success: true,
+      data: observers
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/observers:
+ *   post:
+ *     summary: Invite an observer
+ *     description: Invite a clinician, such as a resident or supervisor, to observe the consultation (the consultation's provider only). The patient is asked for consent; the observer can join once the patient has consented, muted and without recording rights.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Observer invited; waiting for patient consent
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:sessionId/observers', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId, reason } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'userId is required'
+      });
+    }
+
+    const invitation = await consultationService.inviteObserver(
+      sessionId,
+      { userId: req.user.id, role: req.user.role },
+      { userId, reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: 'Observer invited; waiting for patient consent'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/observers/{userId}/consent:
+ *   post:
+ *     summary: Respond to an observer invitation
+ *     description: Consent to or decline a pending observer invitation (the consultation's patient only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - granted
+ *             properties:
+ *               granted:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Consent recorded
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:sessionId/observers/:userId/consent', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+    const { granted } = req.body;
+
+    if (typeof granted !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'granted must be true or false'
+      });
+    }
+
+    const invitation = await consultationService.respondToObserverInvitation(
+      sessionId,
+      { userId: req.user.id, role: req.user.role },
+      userId,
+      granted
+    );
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: granted ? 'Observer consent given' : 'Observer declined'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/observers/{userId}:
+ *   delete:
+ *     summary: Revoke an observer
+ *     description: Cancel an observer invitation or withdraw consent (the consultation's patient or provider). A connected observer is removed from the session.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Observer revoked
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:sessionId/observers/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+
+    const invitation = await consultationService.revokeObserver(
+      sessionId,
+      { userId: req.user.id, role: req.user.role },
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Observer revoked'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/consultations/{sessionId}/screen-share/start:
@@ -369,12 +828,186 @@ router.post('/:sessionId/screen-share/stop', authenticateToken, async (req, res)
   }
 });
 
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/recording/consent-request:
+ *   post:
+ *     summary: Request recording consent
+ *     description: Ask the patient, the provider and every connected participant for consent to record (provider only). Participants receive recording-consent-request over Socket.IO. A new request replaces the previous one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent requested; returns each party's decision
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:sessionId/recording/consent-request', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const status = await consultationService.requestRecordingConsent(sessionId, userId);
+
+    res.json({
+      success: true,
+      data: status,
+      message: 'Recording consent requested'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/recording/consent:
+ *   post:
+ *     summary: Accept or decline recording
+ *     description: Record the current user's decision on the current consent request. Declining after accepting withdraws consent and stops a recording in progress.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requestId
+ *               - accepted
+ *             properties:
+ *               requestId:
+ *                 type: string
+ *               accepted:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:sessionId/recording/consent', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { requestId, accepted } = req.body;
+    const userId = req.user.id;
+
+    if (!requestId || typeof accepted !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'requestId and accepted (true or false) are required'
+      });
+    }
+
+    const status = await consultationService.respondToRecordingConsent(sessionId, userId, requestId, accepted);
+
+    res.json({
+      success: true,
+      data: status,
+      message: accepted ? 'Recording consent given' : 'Recording consent declined'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consultations/{sessionId}/recording/consents:
+ *   get:
+ *     summary: Export the recording consent trail
+ *     description: Every consent request, decision, recording start and stop of a consultation, in order (the patient, the provider and staff roles). Use format=csv for a CSV download.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Consent trail retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the patient, the provider or staff
+ *       404:
+ *         description: Consultation session not found
+ */
+router.get('/:sessionId/recording/consents', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const decision = await roomAuthorizationService.authorizeConsultationRoom(req.user, sessionId);
+    if (!decision.allowed) {
+      return res.status(getDenialStatus(decision)).json({
+        success: false,
+        error: decision.reason
+      });
+    }
+    if (decision.participantRole === 'observer' && !roomAuthorizationService.isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Observers cannot export the consent trail'
+      });
+    }
+
+    const result = await consultationService.getRecordingConsentTrail(sessionId);
+
+    if (req.query.format === 'csv') {
+      const rows = result.trail.map(entry => ({ sessionId, ...entry }));
+      res.attachment(`recording-consents-${sessionId}.csv`);
+      return res.send(toCsv(rows, ['sessionId', 'at', 'event', 'requestId', 'userId', 'role', 'reason']));
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/consultations/{sessionId}/recording/start:
  *   post:
  *     summary: Start recording
- *     description: Start recording a consultation session (provider only)
+ *     description: Start recording a consultation session (provider only). Every party of the current consent request must have accepted, and nobody may have joined since the request. The response gives the recordingId and the URL to upload the recording's chunks to.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -383,6 +1016,16 @@ router.post('/:sessionId/screen-share/stop', authenticateToken, async (req, res)
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mimeType:
+ *                 type: string
+ *                 enum: [video/webm, video/mp4, audio/webm, audio/ogg]
+ *                 default: video/webm
  *     responses:
  *       200:
  *         description: Recording started successfully
@@ -400,7 +1043,7 @@ router.post('/:sessionId/recording/start', authenticateToken, async (req, res) =
     const { sessionId } = req.params;
     const userId = req.user.id;
     
-    const recording = await consultationService.startRecording(sessionId, userId);
+    const recording = await consultationService.startRecording(sessionId, userId, req.body.mimeType);
     
     res.json({
       success: true,
@@ -420,7 +1063,7 @@ router.post('/:sessionId/recording/start', authenticateToken, async (req, res) =
  * /api/consultations/{sessionId}/recording/stop:
  *   post:
  *     summary: Stop recording
- *     description: Stop recording a consultation session
+ *     description: Stop recording a consultation session. The client then uploads any remaining chunks and completes the upload at the returned completeUrl.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -510,4 +1153,36 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/consultations/waiting-room:
+ *   get:
+ *     summary: Get the provider's waiting room
+ *     description: Patients waiting to be admitted to any of the current provider's sessions, in arrival order, with their queue position and estimated wait
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waiting room retrieved successfully
+ *       400:
+ *         description: The user has no provider profile
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/waiting-room', authenticateToken, async (req, res) => {
+  try {
+    const waiting = await consultationService.getWaitingRoom(req.user.id);
+
+    res.json({
+      success: true,
+      data: waiting
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
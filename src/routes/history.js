@@ -8,28 +8,106 @@ const authenticateToken = require('../middleware/auth');
  * /api/history:
  *   get:
  *     summary: Retrieve message history.
- *     description: Retrieve all past messages with their timestamps.
+ *     description: Retrieve past messages consumed from RabbitMQ, newest first, with optional filters and pagination.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: senderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
  *     responses:
  *       200:
- *         description: List of past messages with timestamps.
+ *         description: Page of past messages with pagination and total count.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   message:
- *                     type: string
- *                   timestamp:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       messageId:
+ *                         type: string
+ *                       content:
+ *                         type: string
+ *                       queue:
+ *                         type: string
+ *                       senderId:
+ *                         type: string
+ *                       receivedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalMessages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
  */
-router.get('/', authenticateToken, (req, res) => {
-  const history = getMessageHistory();
-  res.status(200).json(history);
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const options = {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      senderId: req.query.senderId,
+      queue: req.query.queue,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      page: parseInt(req.query.page) || 1
+    };
+
+    const result = await getMessageHistory(options);
+
+    res.json({
+      success: true,
+      data: result.messages,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const router = express.Router();
+const inboxService = require('../services/inboxService');
+const authenticateToken = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageThread:
+ *       type: object
+ *       properties:
+ *         threadId:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         patient:
+ *           type: string
+ *         providers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *         lastMessagePreview:
+ *           type: string
+ *         messageCount:
+ *           type: integer
+ *         unreadCount:
+ *           type: integer
+ *     ThreadMessage:
+ *       type: object
+ *       properties:
+ *         messageId:
+ *           type: string
+ *         sender:
+ *           type: string
+ *         senderRole:
+ *           type: string
+ *           enum: [patient, provider]
+ *         body:
+ *           type: string
+ *         readBy:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               readAt:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/inbox/threads:
+ *   get:
+ *     summary: List inbox threads
+ *     description: List the current user's threads, most recently active first, with unread counts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Threads retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MessageThread'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/threads', authenticateToken, async (req, res) => {
+  try {
+    const { archived, limit = 20, page = 1 } = req.query;
+
+    const result = await inboxService.getThreads(
+      req.user.id,
+      archived === 'true',
+      Math.min(parseInt(limit), 100),
+      parseInt(page)
+    );
+
+    res.json({
+      success: true,
+      data: result.threads,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/threads:
+ *   post:
+ *     summary: Start a new thread
+ *     description: Patients write to their care team (primary care provider by default); providers write to patients they care for, as primary care provider or care team member
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - message
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *                 description: Required when a provider starts the thread
+ *               providerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               subject:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Thread created successfully
+ *       400:
+ *         description: Invalid request data, or a provider not on the patient's care team
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/threads', authenticateToken, async (req, res) => {
+  try {
+    const result = await inboxService.createThread(req.user.id, req.body);
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Thread created successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/threads/{threadId}:
+ *   get:
+ *     summary: Get a thread
+ *     description: Retrieve a thread and a page of its messages, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *       400:
+ *         description: Thread not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/threads/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+
+    const result = await inboxService.getThreadMessages(
+      req.params.threadId,
+      req.user.id,
+      Math.min(parseInt(limit), 200),
+      parseInt(page)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        thread: result.thread,
+        messages: result.messages
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/threads/{threadId}/messages:
+ *   post:
+ *     summary: Reply to a thread
+ *     description: Post a reply; it is pushed live to the patient and provider rooms of the thread as `inbox-message`
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reply posted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadMessage'
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/threads/:threadId/messages', authenticateToken, async (req, res) => {
+  try {
+    const message = await inboxService.postReply(req.params.threadId, req.user.id, req.body.message);
+    res.status(201).json({
+      success: true,
+      data: message,
+      message: 'Reply posted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/threads/{threadId}/read:
+ *   put:
+ *     summary: Mark messages as read
+ *     description: Mark the given messages, or every unread message in the thread, as read. Participants receive an `inbox-read` receipt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Messages marked as read
+ *       400:
+ *         description: Thread not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/threads/:threadId/read', authenticateToken, async (req, res) => {
+  try {
+    const result = await inboxService.markAsRead(req.params.threadId, req.user.id, req.body.messageIds);
+    res.json({
+      success: true,
+      data: result,
+      message: 'Messages marked as read'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/threads/{threadId}/archive:
+ *   put:
+ *     summary: Archive or restore a thread
+ *     description: Archive a thread for the current user only. A new message in the thread restores it for everyone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               archived:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Thread archive state updated
+ *       400:
+ *         description: Thread not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/threads/:threadId/archive', authenticateToken, async (req, res) => {
+  try {
+    const archived = req.body.archived !== false;
+    const thread = await inboxService.setArchived(req.params.threadId, req.user.id, archived);
+    res.json({
+      success: true,
+      data: thread,
+      message: archived ? 'Thread archived successfully' : 'Thread restored successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inbox/unread-count:
+ *   get:
+ *     summary: Get unread message counts
+ *     description: Total unread messages for the current user, broken down by thread
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     threads:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           threadId:
+ *                             type: string
+ *                           unread:
+ *                             type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const counts = await inboxService.getUnreadCount(req.user.id);
+    res.json({
+      success: true,
+      data: counts
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
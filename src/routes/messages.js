@@ -1,14 +1,75 @@
 const express = require('express');
 const router = express.Router();
-const amqp = require('amqplib');
-const { url, queue } = require('../config/rabbitmq');
+const broker = require('../brokers');
+const requireRole = require('../middleware/requireRole');
+const roomAuthorizationService = require('../services/roomAuthorizationService');
+const { createEnvelope } = require('../utils/messageEnvelope');
+
+// Senders may only address rooms they could join themselves, with the same checks
+// as the socket join path. Returns the first refusal as { room, decision }, or null.
+async function findRefusedRoom(user, rooms) {
+  const checks = {
+    patient: id => roomAuthorizationService.authorizePatientRoom(user, id),
+    provider: id => roomAuthorizationService.authorizeProviderRoom(user, id),
+    consultation: id => roomAuthorizationService.authorizeConsultationRoom(user, id)
+  };
+
+  for (const room of rooms) {
+    const separator = room.indexOf('-');
+    const decision = await checks[room.slice(0, separator)](room.slice(separator + 1));
+    if (!decision.allowed) {
+      return { room, decision };
+    }
+  }
+  return null;
+}
+
+// HTTP status for a refused room access decision
+function getDenialStatus(decision) {
+  const { errorCodes } = roomAuthorizationService;
+  if (decision.code === errorCodes.NOT_FOUND) return 404;
+  if (decision.code === errorCodes.FORBIDDEN) return 403;
+  return 400;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageEnvelope:
+ *       type: object
+ *       required:
+ *         - type
+ *         - payload
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: "care_team.note"
+ *         recipients:
+ *           type: array
+ *           description: User IDs to deliver to
+ *           items:
+ *             type: string
+ *         rooms:
+ *           type: array
+ *           description: Rooms to deliver to (patient-*, provider-* or consultation-*)
+ *           items:
+ *             type: string
+ *           example: ["patient-64b7f0c2e1a2b3c4d5e6f708"]
+ *         payload:
+ *           type: object
+ *           example: { "text": "Lab results are ready for review" }
+ *         correlationId:
+ *           type: string
+ *           description: Generated when omitted
+ */
 
 /**
  * @swagger
  * /api/messages:
  *   post:
  *     summary: Publish a message to RabbitMQ
- *     description: Publish a message to the messaging queue. This endpoint is secured by JWT.
+ *     description: Publish a message envelope to the event exchange with routing key messaging.<type>. It is delivered only to the listed recipients and rooms; senders may only address rooms they could join themselves. The sender, message ID and creation time are set by the server. Responds once the broker has confirmed the message. This endpoint is secured by JWT.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -16,11 +77,7 @@ const { url, queue } = require('../config/rabbitmq');
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               message:
- *                 type: string
- *                 example: "Hello from REST API!"
+ *             $ref: '#/components/schemas/MessageEnvelope'
  *     responses:
  *       200:
  *         description: Message published successfully
@@ -32,34 +89,174 @@ const { url, queue } = require('../config/rabbitmq');
  *                 status:
  *                   type: string
  *                   example: "Message published successfully"
+ *                 messageId:
+ *                   type: string
+ *                 correlationId:
+ *                   type: string
  *       400:
- *         description: Message is required
+ *         description: Malformed message envelope or room ID
  *       401:
  *         description: Unauthorized access
  *       403:
- *         description: Invalid access token
+ *         description: Invalid access token, or a room the sender may not join
+ *       404:
+ *         description: Addressed patient, provider or consultation not found
  *       500:
  *         description: Failed to publish message
  */
 router.post('/', async (req, res) => {
-  const { message } = req.body;
-  if (!message) {
-    return res.status(400).json({ error: 'Message is required' });
+  const { envelope, errors } = createEnvelope(req.body, req.user.id);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid message envelope',
+      details: errors
+    });
   }
 
   try {
-    const connection = await amqp.connect(url);
-    const channel = await connection.createChannel();
-    await channel.assertQueue(queue, { durable: false });
-    channel.sendToQueue(queue, Buffer.from(message));
-    console.log(`Published message: ${message}`);
-    await channel.close();
-    await connection.close();
-    res.status(200).json({ status: 'Message published successfully' });
+    const refusal = await findRefusedRoom(req.user, envelope.rooms);
+    if (refusal) {
+      return res.status(getDenialStatus(refusal.decision)).json({
+        success: false,
+        error: `Cannot address ${refusal.room}: ${refusal.decision.reason}`
+      });
+    }
+
+    await broker.publish(`messaging.${envelope.type}`, JSON.stringify(envelope), {
+      messageId: envelope.messageId,
+      correlationId: envelope.correlationId,
+      contentType: 'application/json',
+      type: envelope.type,
+      timestamp: Date.now(),
+      headers: { senderId: envelope.senderId }
+    });
+    console.log(`Published ${envelope.type} message ${envelope.messageId}`);
+    res.status(200).json({
+      status: 'Message published successfully',
+      messageId: envelope.messageId,
+      correlationId: envelope.correlationId
+    });
   } catch (error) {
     console.error('Error publishing message:', error);
     res.status(500).json({ error: 'Failed to publish message' });
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/dead-letters:
+ *   get:
+ *     summary: Inspect dead-lettered messages
+ *     description: List messages that failed every retry, without removing them from the dead-letter queue (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Dead-lettered messages and the total queue depth
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Failed to read the dead-letter queue
+ */
+router.get('/dead-letters', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const result = await broker.getDeadLetters(limit);
+
+    res.json({
+      success: true,
+      data: result.messages,
+      total: result.total
+    });
+  } catch (error) {
+    console.error('Error reading dead letters:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/dead-letters/requeue:
+ *   post:
+ *     summary: Requeue dead-lettered messages
+ *     description: Move dead-lettered messages back to the queue they were rejected from, with a fresh set of retries (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 50
+ *     responses:
+ *       200:
+ *         description: Messages requeued
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Failed to requeue messages
+ */
+router.post('/dead-letters/requeue', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body.limit) || 50, 500);
+    const result = await broker.requeueDeadLetters(limit);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.requeued.length} messages requeued`
+    });
+  } catch (error) {
+    console.error('Error requeuing dead letters:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/dead-letters:
+ *   delete:
+ *     summary: Purge dead-lettered messages
+ *     description: Permanently delete every message in the dead-letter queue (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dead-letter queue purged
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Failed to purge the dead-letter queue
+ */
+router.delete('/dead-letters', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await broker.purgeDeadLetters();
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.purged} messages purged`
+    });
+  } catch (error) {
+    console.error('Error purging dead letters:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const patientMonitoringService = require('../services/patientMonitoringService');
 const authenticateToken = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const socketRateLimiter = require('../services/socketRateLimiter');
 
 /**
  * @swagger
@@ -431,4 +433,33 @@ router.get('/patients/:patientId/devices', authenticateToken, async (req, res) =
   }
 });
 
+/**
+ * @swagger
+ * /api/monitoring/realtime/rate-limits:
+ *   get:
+ *     summary: Get real-time rate limit statistics
+ *     description: Counts of allowed, queued and dropped Socket.IO events, and the sockets recently disconnected for flooding (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rate limit statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Failed to read rate limit statistics
+ */
+router.get('/realtime/rate-limits', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: socketRateLimiter.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const presenceService = require('../services/presenceService');
+const authenticateToken = require('../middleware/auth');
+
+const OBJECT_ID = /^[a-fA-F0-9]{24}$/;
+const ROLES = ['patient', 'doctor', 'nurse', 'admin', 'emergency'];
+const STATUSES = ['online', 'away', 'busy', 'offline'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Presence:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         role:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [online, away, busy, offline]
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/presence:
+ *   get:
+ *     summary: Get user presence
+ *     description: Presence of users, filtered by user IDs, role or status, a page at a time ordered by user ID. Patients only see staff and themselves. Listed users who have never connected are reported offline.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userIds
+ *         description: Comma-separated user IDs (at most 100)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [patient, doctor, nurse, admin, emergency]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [online, away, busy, offline]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Presence retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Presence'
+ *       400:
+ *         description: Invalid user IDs, role or status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const userIds = req.query.userIds ? req.query.userIds.split(',').filter(Boolean) : undefined;
+
+    if (userIds && (userIds.length > 100 || !userIds.every(userId => OBJECT_ID.test(userId)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'userIds must be at most 100 comma-separated user IDs'
+      });
+    }
+
+    if ((role !== undefined && !ROLES.includes(role)) || (status !== undefined && !STATUSES.includes(status))) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of ${ROLES.join(', ')} and status one of ${STATUSES.join(', ')}`
+      });
+    }
+
+    const presence = await presenceService.getPresence(req.user, {
+      userIds,
+      role,
+      status,
+      limit: Math.max(Math.min(parseInt(req.query.limit) || 100, 500), 1),
+      page: Math.max(parseInt(req.query.page) || 1, 1)
+    });
+
+    res.json({
+      success: true,
+      data: presence
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,441 @@
+const express = require('express');
+const router = express.Router();
+const recordingService = require('../services/recordingService');
+const authenticateToken = require('../middleware/auth');
+const { recordings: recordingConfig } = require('../config/config');
+
+// Chunks are sent as the raw MediaRecorder blob, whatever its content type
+const rawChunk = express.raw({ type: () => true, limit: recordingConfig.maxChunkBytes });
+
+// Look up a recording and check the caller may play it back, answering the request
+// when they may not. Returns the recording, or null once a response has been sent.
+async function getAccessibleRecording(req, res) {
+  const recording = await recordingService.getRecording(req.params.recordingId);
+  if (!recording) {
+    res.status(404).json({ success: false, error: 'Recording not found' });
+    return null;
+  }
+
+  try {
+    await recordingService.verifyAccess(recording, req.user.id);
+  } catch (error) {
+    res.status(403).json({ success: false, error: error.message });
+    return null;
+  }
+
+  return recording;
+}
+
+// Send the stored file of a completed recording
+async function sendRecording(req, res, action) {
+  const recording = await getAccessibleRecording(req, res);
+  if (!recording) {
+    return;
+  }
+
+  if (recording.status === 'purged') {
+    return res.status(410).json({ success: false, error: 'Recording has been purged' });
+  }
+  if (recording.status !== 'completed') {
+    return res.status(409).json({ success: false, error: 'Recording upload is not complete' });
+  }
+
+  await recordingService.logAccess(recording, req.user.id, action, req.ip);
+
+  const filePath = recordingService.getFilePath(recording);
+  const options = { headers: { 'Content-Type': recording.mimeType } };
+  const done = (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, error: 'Recording file not found' });
+    }
+  };
+
+  if (action === 'download') {
+    res.download(filePath, recording.storagePath, options, done);
+  } else {
+    // sendFile answers Range requests, so players can seek
+    res.sendFile(filePath, options, done);
+  }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recording:
+ *       type: object
+ *       properties:
+ *         recordingId:
+ *           type: string
+ *         sessionId:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [uploading, assembling, completed, purged]
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *         checksum:
+ *           type: string
+ *           description: SHA-256 of the stored file, hex
+ *         durationSeconds:
+ *           type: integer
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/recordings:
+ *   get:
+ *     summary: List consultation recordings
+ *     description: Recordings of a consultation session. Access follows the medical record rules for the consultation's patient.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recordings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Recording'
+ *       400:
+ *         description: Missing sessionId or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionId is required'
+      });
+    }
+
+    const recordings = await recordingService.getConsultationRecordings(sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: recordings,
+      message: 'Recordings retrieved successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}/upload:
+ *   get:
+ *     summary: Get upload status
+ *     description: Chunks received so far for a recording being uploaded, so an interrupted upload can resume from nextIndex (uploader only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload status retrieved successfully
+ *       400:
+ *         description: Recording not found or not uploaded by this user
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:recordingId/upload', authenticateToken, async (req, res) => {
+  try {
+    const status = await recordingService.getUploadStatus(req.params.recordingId, req.user.id);
+
+    res.json({
+      success: true,
+      data: status,
+      message: 'Upload status retrieved successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}/chunks/{index}:
+ *   put:
+ *     summary: Upload a recording chunk
+ *     description: Upload one numbered chunk of a recording as the raw request body (uploader only). Chunks may arrive in any order and re-sending a chunk replaces it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: header
+ *         name: X-Chunk-Checksum
+ *         description: SHA-256 of the chunk, hex. The chunk is rejected when it does not match.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk stored successfully
+ *       400:
+ *         description: Invalid chunk, checksum mismatch or upload already complete
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: Chunk larger than the configured maximum
+ */
+router.put('/:recordingId/chunks/:index', authenticateToken, rawChunk, async (req, res) => {
+  try {
+    const { recordingId, index } = req.params;
+
+    const chunk = await recordingService.storeChunk(
+      recordingId,
+      req.user.id,
+      Number(index),
+      req.body,
+      req.get('X-Chunk-Checksum')
+    );
+
+    res.json({
+      success: true,
+      data: chunk,
+      message: 'Chunk stored successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}/complete:
+ *   post:
+ *     summary: Complete a recording upload
+ *     description: Assemble chunks 0 to totalChunks - 1 into the stored recording (uploader only). The recording must have been stopped and every chunk received.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [totalChunks]
+ *             properties:
+ *               totalChunks:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Recording stored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Recording'
+ *       400:
+ *         description: Missing chunks, recording still running or upload already complete
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:recordingId/complete', authenticateToken, async (req, res) => {
+  try {
+    const recording = await recordingService.completeUpload(
+      req.params.recordingId,
+      req.user.id,
+      req.body.totalChunks
+    );
+
+    res.json({
+      success: true,
+      data: await recordingService.getRecording(recording.recordingId),
+      message: 'Recording stored successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}:
+ *   get:
+ *     summary: Get a recording
+ *     description: Recording details. Access follows the medical record rules for the consultation's patient.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recording retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Recording'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to access the patient's records
+ *       404:
+ *         description: Recording not found
+ */
+router.get('/:recordingId', authenticateToken, async (req, res) => {
+  try {
+    const recording = await getAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: recording,
+      message: 'Recording retrieved successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}/stream:
+ *   get:
+ *     summary: Play back a recording
+ *     description: Stream a stored recording. Range requests are supported for seeking. Every playback is logged on the recording.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recording file
+ *       206:
+ *         description: Requested range of the recording file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to access the patient's records
+ *       404:
+ *         description: Recording not found
+ *       409:
+ *         description: Recording upload is not complete
+ *       410:
+ *         description: Recording has been purged
+ */
+router.get('/:recordingId/stream', authenticateToken, async (req, res) => {
+  try {
+    await sendRecording(req, res, 'stream');
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recordings/{recordingId}/download:
+ *   get:
+ *     summary: Download a recording
+ *     description: Download a stored recording as an attachment. Every download is logged on the recording.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recording file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to access the patient's records
+ *       404:
+ *         description: Recording not found
+ *       409:
+ *         description: Recording upload is not complete
+ *       410:
+ *         description: Recording has been purged
+ */
+router.get('/:recordingId/download', authenticateToken, async (req, res) => {
+  try {
+    await sendRecording(req, res, 'download');
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const { v4: uuidv4 } = require('uuid');
 const cron = require('node-cron');
 const emailService = require('./emailService');
+const broker = require('../brokers');
 
 class AppointmentService {
   // Create a new appointment
@@ -52,6 +53,8 @@ class AppointmentService {
       // Send confirmation emails
       await this.sendAppointmentConfirmation(appointment._id);
 
+      this.publishAppointmentEvent('appointment.created', appointment);
+
       return appointment;
     } catch (error) {
       throw new Error(`Failed to create appointment: ${error.message}`);
@@ -163,6 +166,8 @@ class AppointmentService {
       // Send status update notifications
       await this.sendStatusUpdateNotification(appointment);
 
+      this.publishAppointmentEvent('appointment.status_changed', appointment);
+
       return appointment;
     } catch (error) {
       throw new Error(`Failed to update appointment status: ${error.message}`);
@@ -193,12 +198,25 @@ class AppointmentService {
       // Send cancellation notifications
       await this.sendCancellationNotification(appointment);
 
+      this.publishAppointmentEvent('appointment.cancelled', appointment);
+
       return appointment;
     } catch (error) {
       throw new Error(`Failed to cancel appointment: ${error.message}`);
     }
   }
 
+  // Publish an appointment domain event on the topic exchange
+  publishAppointmentEvent(routingKey, appointment) {
+    broker.publishEvent(routingKey, {
+      appointmentId: appointment.appointmentId,
+      patientId: (appointment.patient._id || appointment.patient).toString(),
+      providerId: (appointment.provider._id || appointment.provider).toString(),
+      status: appointment.status,
+      scheduledDateTime: appointment.scheduledDateTime
+    });
+  }
+
   // Check provider availability
   async checkProviderAvailability(providerId, dateTime) {
     try {
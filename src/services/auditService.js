@@ -0,0 +1,27 @@
+const AuditLog = require('../models/AuditLog');
+
+class AuditService {
+  // Record an access decision. Failures are logged, never thrown, so auditing
+  // cannot break the action being audited.
+  async record(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      console.error('Failed to write audit log:', error.message);
+      return null;
+    }
+  }
+
+  // Audit entry for an action taken over a socket connection
+  recordSocketAction(socket, entry) {
+    return this.record({
+      userId: socket.userId,
+      role: socket.role,
+      socketId: socket.id,
+      ipAddress: socket.handshake.address,
+      ...entry
+    });
+  }
+}
+
+module.exports = new AuditService();
@@ -1,13 +1,44 @@
 const Consultation = require('../models/Consultation');
 const Appointment = require('../models/Appointment');
+const Provider = require('../models/Provider');
+const User = require('../models/User');
+const presenceService = require('./presenceService');
+const auditService = require('./auditService');
+const recordingService = require('./recordingService');
 const { v4: uuidv4 } = require('uuid');
-const { webrtc } = require('../config/config');
-
-class ConsultationService {
-  constructor() {
-    this.activeSessions = new Map(); // Store active consultation sessions
+const { webrtc, waitingRoom: waitingRoomConfig, recordings: recordingConfig } = require('../config/config');
+const { validateSchema } = require('../utils/schemaValidator');
+const { createTurnCredentials } = require('../utils/turnCredentials');
+
+// Share of a TURN credential's lifetime after which clients fetch a fresh one
+const TURN_REFRESH_AT_LIFETIME = 0.8;
+
+// Chat messages sent over REST or Socket.IO
+const chatMessageSchema = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 5000 },
+    messageType: { type: 'string', enum: ['text', 'file', 'image', 'system'] },
+    attachments: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          fileName: { type: 'string', maxLength: 255 },
+          fileUrl: { type: 'string', maxLength: 2000 },
+          fileType: { type: 'string', maxLength: 100 },
+          fileSize: { type: 'number', minimum: 0 }
+        }
+      }
+    }
   }
+};
 
+// Session state lives on the Consultation document rather than in process memory,
+// so every instance sees the same sessions and participants
+class ConsultationService {
   // Create a new consultation session
   async createConsultationSession(appointmentId, type = 'video') {
     try {
@@ -48,20 +79,46 @@ class ConsultationService {
         'consultation.sessionId': sessionId
       });
 
-      // Store session in memory for quick access
-      this.activeSessions.set(sessionId, {
-        consultationId: consultation._id,
-        participants: new Set(),
-        startTime: null
-      });
-
       return consultation;
     } catch (error) {
       throw new Error(`Failed to create consultation session: ${error.message}`);
     }
   }
 
-  // Join a consultation session
+  // Route a new session to its provider according to their presence: connected providers,
+  // busy ones included, get consultation-ready on their sockets at once. Offline providers
+  // are not notified and nothing re-sends the event later.
+  async notifyProvider(consultation) {
+    try {
+      const provider = await Provider.findById(consultation.provider).select('userId');
+      if (!provider) {
+        throw new Error('Provider not found');
+      }
+
+      const providerUserId = provider.userId.toString();
+      const statuses = await presenceService.getStatuses([providerUserId]);
+      const providerStatus = statuses.get(providerUserId);
+      const notified = providerStatus !== 'offline';
+
+      const io = require('../index').io;
+      if (notified && io) {
+        io.to(`user-${providerUserId}`).emit('consultation-ready', {
+          sessionId: consultation.sessionId,
+          appointmentId: consultation.appointment,
+          patientId: consultation.patient,
+          type: consultation.type,
+          timestamp: new Date()
+        });
+      }
+
+      return { providerStatus, notified };
+    } catch (error) {
+      throw new Error(`Failed to notify provider: ${error.message}`);
+    }
+  }
+
+  // Join a consultation session. A patient who joins before being admitted enters
+  // the waiting room instead; the session starts when the provider admits them.
   async joinConsultationSession(sessionId, userId, role) {
     try {
       const consultation = await Consultation.findOne({ sessionId })
@@ -74,9 +131,23 @@ class ConsultationService {
       // Verify user has permission to join
       const isAuthorized = this.verifyUserAuthorization(consultation, userId, role);
       if (!isAuthorized) {
+        if (role === 'observer') {
+          await this.auditObserverAction(
+            'consultation.observer_join', sessionId, { userId }, userId, 'denied', 'no_patient_consent'
+          );
+        }
         throw new Error('User not authorized to join this consultation');
       }
 
+      if (role === 'patient' && consultation.status === 'waiting') {
+        const waitingRoom = await this.enterWaitingRoom(sessionId);
+        if (waitingRoom) {
+          return { consultation, waitingRoom };
+        }
+        // Admitted in the meantime: join the started session
+        return this.joinConsultationSession(sessionId, userId, role);
+      }
+
       const joinTime = new Date();
 
       // Add participant to consultation
@@ -88,44 +159,55 @@ class ConsultationService {
         // Update existing participant
         existingParticipant.joinedAt = joinTime;
         existingParticipant.leftAt = null;
+        if (role === 'observer') {
+          existingParticipant.muted = true;
+        }
       } else {
-        // Add new participant
+        // Add new participant; observers join muted
         consultation.participants.push({
           userId,
           role,
           joinedAt: joinTime,
+          muted: role === 'observer',
           connectionQuality: 'good'
         });
       }
 
-      // Start session if this is the first participant
-      if (consultation.status === 'waiting' && consultation.participants.length === 1) {
-        consultation.status = 'active';
-        consultation.startTime = joinTime;
-
-        // Update appointment status
-        await Appointment.findByIdAndUpdate(consultation.appointment._id, {
-          status: 'in_progress',
-          'consultation.startTime': joinTime
-        });
+      // Nobody may be recorded without being asked: a party the current consent request
+      // did not cover stops the recording, and consent is requested again
+      const requiredParties = consultation.recording.consentRequest
+        ? consultation.recording.consentRequest.requiredParties
+        : [];
+      const recordingStopped = this.isRecordingInProgress(consultation) &&
+        !requiredParties.some(party => party.userId.toString() === userId.toString());
+      let recordingConsentRequest = null;
+      if (recordingStopped) {
+        this.finishRecording(consultation, userId, role, 'participant_joined');
       }
 
       await consultation.save();
 
-      // Update active session
-      const activeSession = this.activeSessions.get(sessionId);
-      if (activeSession) {
-        activeSession.participants.add(userId);
-        if (!activeSession.startTime && consultation.status === 'active') {
-          activeSession.startTime = joinTime;
-        }
+      if (role === 'observer') {
+        await this.auditObserverAction('consultation.observer_join', sessionId, { userId }, userId);
+      }
+
+      if (recordingStopped) {
+        await recordingService.markEnded(consultation.recording.recordingId, consultation.recording.recordingEndTime);
+        this.emitRecordingEvent(sessionId, 'recording-stopped', {
+          stoppedBy: userId.toString(),
+          reason: 'participant_joined',
+          at: consultation.recording.recordingEndTime
+        });
+        recordingConsentRequest = await this.requestRecordingConsent(sessionId, consultation.provider.userId);
       }
 
       return {
         consultation,
-        webrtcConfig: this.getWebRTCConfig(),
+        recordingConsentRequest,
+        webrtcConfig: this.getWebRTCConfig(userId, sessionId),
         sessionInfo: {
           canRecord: role === 'provider',
+          muted: role === 'observer',
           canScreenShare: true,
           maxParticipants: 10
         }
@@ -135,6 +217,510 @@ class ConsultationService {
     }
   }
 
+  // Put the patient in the waiting room, keeping their place if they were already waiting.
+  // Returns their queue entry, or null once the session is no longer waiting.
+  async enterWaitingRoom(sessionId) {
+    try {
+      await Consultation.updateOne(
+        { sessionId, status: 'waiting', 'waitingRoom.patientJoinedAt': null },
+        { $set: { 'waitingRoom.patientJoinedAt': new Date() } }
+      );
+
+      const consultation = await Consultation.findOne({ sessionId, status: 'waiting' }).select('provider');
+      if (!consultation) {
+        return null;
+      }
+
+      const queue = await this.broadcastWaitingRoom(consultation.provider);
+      return queue.find(entry => entry.sessionId === sessionId) || null;
+    } catch (error) {
+      throw new Error(`Failed to enter waiting room: ${error.message}`);
+    }
+  }
+
+  // Take the patient out of the waiting room, e.g. when they leave before being admitted
+  async leaveWaitingRoom(sessionId) {
+    try {
+      const consultation = await Consultation.findOneAndUpdate(
+        { sessionId, status: 'waiting', 'waitingRoom.patientJoinedAt': { $ne: null } },
+        { $unset: { 'waitingRoom.patientJoinedAt': 1 } }
+      ).select('provider');
+
+      if (consultation) {
+        await this.broadcastWaitingRoom(consultation.provider);
+      }
+      return Boolean(consultation);
+    } catch (error) {
+      throw new Error(`Failed to leave waiting room: ${error.message}`);
+    }
+  }
+
+  // Average length of the provider's recent consultations, in minutes
+  async getAverageConsultationMinutes(providerId) {
+    const recent = await Consultation.find({ provider: providerId, status: 'ended', duration: { $gt: 0 } })
+      .sort({ endTime: -1 })
+      .limit(waitingRoomConfig.sampleSize)
+      .select('duration');
+
+    if (recent.length === 0) {
+      return waitingRoomConfig.defaultConsultationMinutes;
+    }
+    return recent.reduce((sum, consultation) => sum + consultation.duration, 0) / recent.length;
+  }
+
+  // The provider's waiting patients in arrival order, each with their queue position and
+  // estimated wait: what remains of the provider's current session, plus an average
+  // consultation for each patient ahead
+  async getWaitingQueue(providerId) {
+    try {
+      const [waiting, current, averageMinutes] = await Promise.all([
+        Consultation.find({
+          provider: providerId,
+          status: 'waiting',
+          'waitingRoom.patientJoinedAt': { $ne: null }
+        })
+          .sort({ 'waitingRoom.patientJoinedAt': 1 })
+          .select('sessionId appointment patient type waitingRoom')
+          .populate('patient', 'userId medicalRecordNumber')
+          .populate('appointment', 'scheduledDateTime'),
+        Consultation.findOne({ provider: providerId, status: 'active' })
+          .sort({ startTime: -1 })
+          .select('startTime'),
+        this.getAverageConsultationMinutes(providerId)
+      ]);
+
+      const elapsedMinutes = current && current.startTime ? (Date.now() - current.startTime) / (1000 * 60) : 0;
+      const remainingMinutes = current ? Math.max(averageMinutes - elapsedMinutes, 0) : 0;
+
+      return waiting.map((consultation, index) => ({
+        sessionId: consultation.sessionId,
+        consultationId: consultation._id,
+        type: consultation.type,
+        patient: consultation.patient,
+        scheduledDateTime: consultation.appointment ? consultation.appointment.scheduledDateTime : null,
+        waitingSince: consultation.waitingRoom.patientJoinedAt,
+        position: index + 1,
+        estimatedWaitMinutes: Math.round(remainingMinutes + index * averageMinutes)
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get waiting queue: ${error.message}`);
+    }
+  }
+
+  // Waiting room of the provider with this user account
+  async getWaitingRoom(userId) {
+    try {
+      const provider = await Provider.findOne({ userId }).select('_id');
+      if (!provider) {
+        throw new Error('Provider profile not found');
+      }
+
+      return this.getWaitingQueue(provider._id);
+    } catch (error) {
+      throw new Error(`Failed to get waiting room: ${error.message}`);
+    }
+  }
+
+  // Send each waiting patient their place in the queue, and the provider the whole queue
+  async broadcastWaitingRoom(providerId) {
+    const queue = await this.getWaitingQueue(providerId);
+
+    const io = require('../index').io;
+    if (io) {
+      const consultationNamespace = io.of('/consultation');
+      queue.forEach(entry => {
+        consultationNamespace.to(`waiting-${entry.sessionId}`).emit('waiting-room-status', {
+          sessionId: entry.sessionId,
+          position: entry.position,
+          estimatedWaitMinutes: entry.estimatedWaitMinutes
+        });
+      });
+
+      const provider = await Provider.findById(providerId).select('userId');
+      if (provider) {
+        io.to(`user-${provider.userId}`).emit('waiting-room-update', {
+          waiting: queue,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    return queue;
+  }
+
+  // Admit the waiting patient. This starts the session: the consultation becomes
+  // active and its startTime is the admission time.
+  async admitPatient(sessionId, userId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      if (consultation.provider.userId.toString() !== userId.toString()) {
+        throw new Error('Only the consultation provider can admit the patient');
+      }
+
+      if (!consultation.waitingRoom || !consultation.waitingRoom.patientJoinedAt || consultation.status !== 'waiting') {
+        throw new Error('Patient is not in the waiting room');
+      }
+
+      // Conditional on the status, so a patient is admitted only once
+      const startTime = new Date();
+      const admitted = await Consultation.findOneAndUpdate(
+        { sessionId, status: 'waiting' },
+        {
+          $set: {
+            status: 'active',
+            startTime,
+            'waitingRoom.admittedAt': startTime,
+            'waitingRoom.admittedBy': userId
+          },
+          $push: {
+            participants: {
+              userId: consultation.patient.userId,
+              role: 'patient',
+              joinedAt: startTime,
+              connectionQuality: 'good'
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!admitted) {
+        throw new Error('Patient is not in the waiting room');
+      }
+
+      // Update appointment status
+      await Appointment.findByIdAndUpdate(consultation.appointment, {
+        status: 'in_progress',
+        'consultation.startTime': startTime
+      });
+
+      // The patient's waiting sockets join the consultation room on receiving this
+      const io = require('../index').io;
+      if (io) {
+        io.of('/consultation').to(`waiting-${sessionId}`).emit('waiting-room-admitted', {
+          sessionId,
+          startTime
+        });
+      }
+
+      await this.broadcastWaitingRoom(consultation.provider._id);
+      return admitted;
+    } catch (error) {
+      throw new Error(`Failed to admit patient: ${error.message}`);
+    }
+  }
+
+  // Observer invitation of a user, if any
+  getObserverInvitation(consultation, userId) {
+    return (consultation.observers || []).find(observer =>
+      observer.userId.toString() === userId.toString()
+    );
+  }
+
+  // Audit trail entry for an observer action; actor is { userId, role }
+  auditObserverAction(action, sessionId, actor, observerUserId, outcome = 'allowed', reason) {
+    return auditService.record({
+      userId: actor.userId,
+      role: actor.role,
+      action,
+      resource: `consultation-${sessionId}`,
+      outcome,
+      reason,
+      metadata: { observerUserId: observerUserId.toString() }
+    });
+  }
+
+  // Provider: invite a clinician to observe. The observer may join once the patient consents.
+  async inviteObserver(sessionId, actor, { userId, reason }) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      if (consultation.provider.userId.toString() !== actor.userId.toString()) {
+        throw new Error('Only the consultation provider can invite observers');
+      }
+
+      if (consultation.status === 'ended' || consultation.status === 'cancelled') {
+        throw new Error('Consultation session is over');
+      }
+
+      const observerUser = await User.findById(userId).select('role isActive');
+      if (!observerUser || !observerUser.isActive) {
+        throw new Error('Observer not found');
+      }
+      if (observerUser.role === 'patient') {
+        throw new Error('Only clinical staff can observe consultations');
+      }
+      if ([consultation.patient.userId, consultation.provider.userId].some(id => id.toString() === userId.toString())) {
+        throw new Error('Participants cannot be invited as observers');
+      }
+
+      const invitedAt = new Date();
+      let invitation = this.getObserverInvitation(consultation, userId);
+      if (invitation && (invitation.status === 'pending' || invitation.status === 'consented')) {
+        throw new Error('Observer has already been invited');
+      }
+
+      if (invitation) {
+        // A declined or revoked observer can be invited again; the patient is asked again
+        Object.assign(invitation, {
+          invitedBy: actor.userId,
+          invitedAt,
+          reason,
+          status: 'pending',
+          respondedAt: undefined,
+          revokedBy: undefined,
+          revokedAt: undefined
+        });
+      } else {
+        consultation.observers.push({ userId, invitedBy: actor.userId, invitedAt, reason, status: 'pending' });
+        invitation = consultation.observers[consultation.observers.length - 1];
+      }
+
+      await consultation.save();
+      await this.auditObserverAction('consultation.observer_invite', sessionId, actor, userId);
+
+      const io = require('../index').io;
+      if (io) {
+        const notice = { sessionId, observerUserId: userId, invitedBy: actor.userId, reason, invitedAt };
+        io.to(`user-${consultation.patient.userId}`).emit('observer-consent-requested', notice);
+        io.to(`user-${userId}`).emit('observer-invited', notice);
+      }
+
+      return invitation;
+    } catch (error) {
+      throw new Error(`Failed to invite observer: ${error.message}`);
+    }
+  }
+
+  // Patient: consent to or decline a pending observer invitation
+  async respondToObserverInvitation(sessionId, actor, observerUserId, granted) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      if (consultation.patient.userId.toString() !== actor.userId.toString()) {
+        throw new Error('Only the patient can consent to observers');
+      }
+
+      const invitation = this.getObserverInvitation(consultation, observerUserId);
+      if (!invitation || invitation.status !== 'pending') {
+        throw new Error('No pending invitation for this observer');
+      }
+
+      invitation.status = granted ? 'consented' : 'declined';
+      invitation.respondedAt = new Date();
+      await consultation.save();
+
+      await this.auditObserverAction(
+        'consultation.observer_consent',
+        sessionId,
+        actor,
+        observerUserId,
+        granted ? 'allowed' : 'denied',
+        granted ? 'patient_consented' : 'patient_declined'
+      );
+
+      const io = require('../index').io;
+      if (io) {
+        const notice = { sessionId, observerUserId, granted, respondedAt: invitation.respondedAt };
+        io.to(`user-${observerUserId}`).to(`user-${consultation.provider.userId}`).emit('observer-consent', notice);
+      }
+
+      return invitation;
+    } catch (error) {
+      throw new Error(`Failed to record observer consent: ${error.message}`);
+    }
+  }
+
+  // Provider or patient: cancel an invitation or withdraw consent. A connected
+  // observer is removed from the session.
+  async revokeObserver(sessionId, actor, observerUserId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      const isPatient = consultation.patient.userId.toString() === actor.userId.toString();
+      const isProvider = consultation.provider.userId.toString() === actor.userId.toString();
+      if (!isPatient && !isProvider) {
+        throw new Error('Only the patient or the provider can revoke observers');
+      }
+
+      const invitation = this.getObserverInvitation(consultation, observerUserId);
+      if (!invitation || (invitation.status !== 'pending' && invitation.status !== 'consented')) {
+        throw new Error('Observer has no active invitation');
+      }
+
+      const now = new Date();
+      invitation.status = 'revoked';
+      invitation.revokedBy = actor.userId;
+      invitation.revokedAt = now;
+
+      consultation.participants
+        .filter(p => p.role === 'observer' && p.userId.toString() === observerUserId.toString() && !p.leftAt)
+        .forEach(p => {
+          p.leftAt = now;
+        });
+
+      await consultation.save();
+      await this.auditObserverAction(
+        'consultation.observer_revoke',
+        sessionId,
+        actor,
+        observerUserId,
+        'allowed',
+        isPatient ? 'patient_withdrew_consent' : 'provider_revoked'
+      );
+
+      await this.removeObserverSockets(sessionId, observerUserId.toString());
+      return invitation;
+    } catch (error) {
+      throw new Error(`Failed to revoke observer: ${error.message}`);
+    }
+  }
+
+  // Take a revoked observer's sockets, on any instance, out of the consultation room
+  async removeObserverSockets(sessionId, observerUserId) {
+    const io = require('../index').io;
+    if (!io) {
+      return;
+    }
+
+    const consultationNamespace = io.of('/consultation');
+    const room = `consultation-${sessionId}`;
+    const sockets = await consultationNamespace.in(room).fetchSockets();
+    sockets
+      .filter(peer => peer.data.userId === observerUserId)
+      .forEach(peer => {
+        peer.leave(room);
+        peer.emit('observer-removed', { sessionId });
+        consultationNamespace.to(room).emit('participant-left', {
+          userId: observerUserId,
+          socketId: peer.id
+        });
+      });
+  }
+
+  // Observer invitations of a session, with whether each observer is connected
+  async getObservers(sessionId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .select('observers participants')
+        .populate('observers.userId', 'firstName lastName role');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      return consultation.observers.map(observer => {
+        const participant = consultation.participants.find(p =>
+          p.role === 'observer' && p.userId.toString() === observer.userId._id.toString() && !p.leftAt
+        );
+
+        return {
+          ...observer.toObject(),
+          connected: Boolean(participant),
+          muted: participant ? Boolean(participant.muted) : true
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to get observers: ${error.message}`);
+    }
+  }
+
+  // Mark an observer as having left, when their socket leaves or disconnects
+  async recordObserverLeave(sessionId, userId) {
+    try {
+      const result = await Consultation.updateOne(
+        { sessionId },
+        { $set: { 'participants.$[observer].leftAt': new Date() } },
+        { arrayFilters: [{ 'observer.userId': userId, 'observer.role': 'observer', 'observer.leftAt': null }] }
+      );
+
+      if (result.modifiedCount > 0) {
+        await this.auditObserverAction('consultation.observer_leave', sessionId, { userId }, userId);
+      }
+    } catch (error) {
+      throw new Error(`Failed to record observer leave: ${error.message}`);
+    }
+  }
+
+  // Whether the user is an observer the provider has muted
+  async isObserverMuted(sessionId, userId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId }).select('participants');
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      return consultation.participants.some(p =>
+        p.role === 'observer' && p.userId.toString() === userId.toString() && p.muted
+      );
+    } catch (error) {
+      throw new Error(`Failed to check observer mute: ${error.message}`);
+    }
+  }
+
+  // Provider: mute or unmute a connected observer
+  async setObserverMuted(sessionId, actor, observerUserId, muted) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      if (consultation.provider.userId.toString() !== actor.userId.toString()) {
+        throw new Error('Only the consultation provider can mute observers');
+      }
+
+      const participant = consultation.participants.find(p =>
+        p.role === 'observer' && p.userId.toString() === observerUserId.toString() && !p.leftAt
+      );
+      if (!participant) {
+        throw new Error('Observer is not connected to this consultation');
+      }
+
+      participant.muted = muted;
+      await consultation.save();
+      await this.auditObserverAction(
+        'consultation.observer_mute', sessionId, actor, observerUserId, 'allowed', muted ? 'muted' : 'unmuted'
+      );
+
+      const io = require('../index').io;
+      if (io) {
+        io.of('/consultation').to(`consultation-${sessionId}`).emit('observer-muted', {
+          sessionId,
+          userId: observerUserId,
+          muted
+        });
+      }
+
+      return participant;
+    } catch (error) {
+      throw new Error(`Failed to update observer: ${error.message}`);
+    }
+  }
+
   // Leave a consultation session
   async leaveConsultationSession(sessionId, userId) {
     try {
@@ -147,14 +733,23 @@ class ConsultationService {
         p.userId.toString() === userId.toString()
       );
 
+      // A patient leaving before admission leaves the waiting room
+      if (!participant && consultation.status === 'waiting') {
+        await this.leaveWaitingRoom(sessionId);
+        return consultation;
+      }
+
       if (participant) {
         participant.leftAt = new Date();
+        if (participant.role === 'observer') {
+          await this.auditObserverAction('consultation.observer_leave', sessionId, { userId }, userId);
+        }
       }
 
-      // Check if all participants have left
+      // Check if all participants have left a started session
       const activeParticipants = consultation.participants.filter(p => !p.leftAt);
       
-      if (activeParticipants.length === 0) {
+      if (consultation.status === 'active' && activeParticipants.length === 0) {
         consultation.status = 'ended';
         consultation.endTime = new Date();
         
@@ -170,54 +765,164 @@ class ConsultationService {
           status: 'completed',
           'consultation.endTime': consultation.endTime
         });
-
-        // Remove from active sessions
-        this.activeSessions.delete(sessionId);
       }
 
       await consultation.save();
 
-      // Update active session
-      const activeSession = this.activeSessions.get(sessionId);
-      if (activeSession) {
-        activeSession.participants.delete(userId);
-      }
-
       return consultation;
     } catch (error) {
       throw new Error(`Failed to leave consultation session: ${error.message}`);
     }
   }
 
-  // Send chat message
-  async sendChatMessage(sessionId, senderId, message, messageType = 'text', attachments = []) {
+  // Send chat message. REST and Socket.IO messages share this pipeline: the message is
+  // validated, stored with a server-assigned ID and timestamp, and broadcast to the
+  // consultation room. sender is { userId, role } from the caller's token.
+  async sendChatMessage(sessionId, sender, { message, messageType = 'text', attachments = [] }) {
     try {
-      const consultation = await Consultation.findOne({ sessionId });
+      const errors = validateSchema({ message, messageType, attachments }, chatMessageSchema);
+      if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.path} ${e.message}`).join('; '));
+      }
+
+      const consultation = await Consultation.findOne({ sessionId })
+        .select('status participants observers patient provider')
+        .populate('patient provider', 'userId');
       if (!consultation) {
         throw new Error('Consultation session not found');
       }
 
+      // Only the patient, the provider and observers the patient has consented to
+      const senderId = sender.userId.toString();
+      const invitation = this.getObserverInvitation(consultation, senderId);
+      const isParty = [consultation.patient, consultation.provider]
+        .some(party => party && party.userId.toString() === senderId);
+      if (!isParty && !(invitation && invitation.status === 'consented')) {
+        throw new Error('Access denied: not a participant of this consultation');
+      }
+
       if (consultation.status !== 'active') {
         throw new Error('Consultation session is not active');
       }
 
+      // Any row of the user counts: a muted observer stays muted after a leave is recorded
+      const muted = consultation.participants.some(p =>
+        p.role === 'observer' && p.userId.toString() === sender.userId.toString() && p.muted
+      );
+      if (muted) {
+        throw new Error('Muted observers cannot send messages');
+      }
+
       const chatMessage = {
-        senderId,
+        messageId: uuidv4(),
+        senderId: sender.userId,
         message,
         timestamp: new Date(),
         messageType,
         attachments
       };
 
-      consultation.chatMessages.push(chatMessage);
-      await consultation.save();
+      await Consultation.updateOne({ sessionId }, { $push: { chatMessages: chatMessage } });
 
+      this.broadcastChatMessage(sessionId, chatMessage, sender.role);
       return chatMessage;
     } catch (error) {
       throw new Error(`Failed to send chat message: ${error.message}`);
     }
   }
 
+  // Broadcast a stored chat message to the consultation's participants
+  broadcastChatMessage(sessionId, chatMessage, senderRole) {
+    const io = require('../index').io;
+    if (io) {
+      io.of('/consultation').to(`consultation-${sessionId}`).emit('consultation-chat', {
+        sessionId,
+        ...chatMessage,
+        senderRole
+      });
+    }
+  }
+
+  // Get a page of chat messages, newest page first, each page in chronological order
+  async getChatMessages(sessionId, limit = 50, page = 1) {
+    try {
+      const [summary] = await Consultation.aggregate([
+        { $match: { sessionId } },
+        { $project: { count: { $size: { $ifNull: ['$chatMessages', []] } } } }
+      ]);
+      if (!summary) {
+        throw new Error('Consultation session not found');
+      }
+
+      const end = Math.max(summary.count - (page - 1) * limit, 0);
+      const start = Math.max(end - limit, 0);
+      let messages = [];
+      if (end > start) {
+        const consultation = await Consultation.findOne(
+          { sessionId },
+          { chatMessages: { $slice: [start, end - start] } }
+        );
+        messages = consultation.chatMessages;
+      }
+
+      const totalPages = Math.ceil(summary.count / limit);
+      return {
+        messages,
+        pagination: {
+          current: page,
+          total: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get chat messages: ${error.message}`);
+    }
+  }
+
+  // Record delivered or read receipts from a participant. Read implies delivered;
+  // the sender's own messages and receipts already recorded are skipped.
+  // Returns the IDs of the messages whose receipts changed.
+  async recordChatReceipts(sessionId, userId, messageIds, status) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId }).select('chatMessages');
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      const fields = status === 'read' ? ['deliveredTo', 'readBy'] : ['deliveredTo'];
+      const hasReceipt = (message, field) => message[field].some(r => r.userId.toString() === userId.toString());
+      const updated = consultation.chatMessages
+        .filter(message => messageIds.includes(message.messageId) &&
+          message.senderId.toString() !== userId.toString() &&
+          fields.some(field => !hasReceipt(message, field)))
+        .map(message => message.messageId);
+
+      if (updated.length === 0) {
+        return [];
+      }
+
+      // One update per receipt list; the filters keep concurrent receipts from duplicating
+      const at = new Date();
+      for (const field of fields) {
+        await Consultation.updateOne(
+          { sessionId },
+          { $push: { [`chatMessages.$[message].${field}`]: { userId, at } } },
+          {
+            arrayFilters: [{
+              'message.messageId': { $in: updated },
+              [`message.${field}.userId`]: { $ne: userId }
+            }]
+          }
+        );
+      }
+
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to record chat receipts: ${error.message}`);
+    }
+  }
+
   // Start screen sharing
   async startScreenSharing(sessionId, userId, purpose) {
     try {
@@ -264,71 +969,336 @@ class ConsultationService {
     }
   }
 
-  // Start recording
-  async startRecording(sessionId, userId) {
+  // Parties whose consent a recording needs: the patient, the provider and every
+  // connected participant, observers included. Expects patient and provider populated.
+  getRecordingParties(consultation) {
+    const parties = new Map([
+      [consultation.patient.userId.toString(), 'patient'],
+      [consultation.provider.userId.toString(), 'provider']
+    ]);
+    consultation.participants
+      .filter(p => !p.leftAt && !parties.has(p.userId.toString()))
+      .forEach(p => parties.set(p.userId.toString(), p.role));
+
+    return [...parties].map(([userId, role]) => ({ userId, role }));
+  }
+
+  // Each required party's latest decision on the current consent request
+  getRecordingConsentStatus(consultation) {
+    const request = consultation.recording.consentRequest;
+    if (!request || !request.requestId) {
+      return { requestId: null, parties: [], allConsented: false };
+    }
+
+    const decisions = new Map();
+    consultation.recording.consentTrail
+      .filter(entry => entry.requestId === request.requestId && ['accepted', 'declined', 'withdrawn'].includes(entry.event))
+      .forEach(entry => decisions.set(entry.userId.toString(), { decision: entry.event, at: entry.at }));
+
+    const parties = request.requiredParties.map(party => ({
+      userId: party.userId.toString(),
+      role: party.role,
+      decision: 'pending',
+      at: null,
+      ...decisions.get(party.userId.toString())
+    }));
+
+    return {
+      requestId: request.requestId,
+      requestedBy: request.requestedBy,
+      requestedAt: request.requestedAt,
+      parties,
+      allConsented: parties.every(party => party.decision === 'accepted')
+    };
+  }
+
+  // Whether a recording has started and not yet stopped
+  isRecordingInProgress(consultation) {
+    const { recording } = consultation;
+    return Boolean(recording.isRecorded && recording.recordingStartTime && !recording.recordingEndTime);
+  }
+
+  // Tell the session's participants about a recording or consent change
+  emitRecordingEvent(sessionId, event, data) {
+    const io = require('../index').io;
+    if (io) {
+      io.of('/consultation').to(`consultation-${sessionId}`).emit(event, { sessionId, ...data });
+    }
+  }
+
+  // Provider: ask every party for consent to record. Starting a new request replaces
+  // the previous one; the provider's own consent is recorded with the request.
+  async requestRecordingConsent(sessionId, userId) {
     try {
       const consultation = await Consultation.findOne({ sessionId })
-        .populate('patient provider');
+        .populate('patient provider', 'userId');
 
       if (!consultation) {
         throw new Error('Consultation session not found');
       }
 
-      // Verify user has permission to record (typically only providers)
-      const participant = consultation.participants.find(p => 
-        p.userId.toString() === userId.toString()
+      if (consultation.provider.userId.toString() !== userId.toString()) {
+        throw new Error('Only the consultation provider can request recording consent');
+      }
+
+      if (consultation.status !== 'active') {
+        throw new Error('Consultation session is not active');
+      }
+
+      if (this.isRecordingInProgress(consultation)) {
+        throw new Error('Recording is already in progress');
+      }
+
+      const requestId = uuidv4();
+      const requestedAt = new Date();
+      const requiredParties = this.getRecordingParties(consultation);
+
+      consultation.recording.consentRequest = { requestId, requestedBy: userId, requestedAt, requiredParties };
+      consultation.recording.consentTrail.push(
+        { event: 'requested', requestId, userId, role: 'provider', at: requestedAt },
+        { event: 'accepted', requestId, userId, role: 'provider', at: requestedAt }
       );
+      consultation.recording.consentGiven = { patient: false, provider: true };
+
+      await consultation.save();
+
+      this.emitRecordingEvent(sessionId, 'recording-consent-request', {
+        requestId,
+        requestedBy: userId,
+        requestedAt,
+        requiredParties
+      });
+
+      return this.getRecordingConsentStatus(consultation);
+    } catch (error) {
+      throw new Error(`Failed to request recording consent: ${error.message}`);
+    }
+  }
+
+  // Record a party's accept or decline. Withdrawing consent while recording stops the recording.
+  async respondToRecordingConsent(sessionId, userId, requestId, accepted) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      const current = this.getRecordingConsentStatus(consultation);
+      if (!current.requestId || current.requestId !== requestId) {
+        throw new Error('Consent request not found or superseded');
+      }
+
+      const party = current.parties.find(p => p.userId === userId.toString());
+      if (!party) {
+        throw new Error('User was not asked for recording consent');
+      }
+
+      let event = 'accepted';
+      if (!accepted) {
+        event = party.decision === 'accepted' ? 'withdrawn' : 'declined';
+      }
+
+      const at = new Date();
+      consultation.recording.consentTrail.push({ event, requestId, userId, role: party.role, at });
+      if (party.role === 'patient' || party.role === 'provider') {
+        consultation.recording.consentGiven[party.role] = accepted;
+      }
+
+      const recordingStopped = !accepted && this.isRecordingInProgress(consultation);
+      if (recordingStopped) {
+        this.finishRecording(consultation, userId, party.role, 'consent_withdrawn');
+      }
+
+      await consultation.save();
+      if (recordingStopped) {
+        await recordingService.markEnded(consultation.recording.recordingId, consultation.recording.recordingEndTime);
+      }
+
+      const status = this.getRecordingConsentStatus(consultation);
+      this.emitRecordingEvent(sessionId, 'recording-consent-update', {
+        requestId,
+        userId: userId.toString(),
+        role: party.role,
+        decision: event,
+        at,
+        allConsented: status.allConsented
+      });
+      if (recordingStopped) {
+        this.emitRecordingEvent(sessionId, 'recording-stopped', {
+          stoppedBy: userId.toString(),
+          reason: 'consent_withdrawn',
+          at
+        });
+      }
+
+      return { ...status, recordingStopped };
+    } catch (error) {
+      throw new Error(`Failed to record recording consent: ${error.message}`);
+    }
+  }
 
-      if (!participant || participant.role !== 'provider') {
+  // Start recording, once every required party has consented. The client uploads the
+  // recording in chunks to the returned recordingId.
+  async startRecording(sessionId, userId, mimeType) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      // Only the provider records; observers never do
+      if (consultation.provider.userId.toString() !== userId.toString()) {
         throw new Error('User not authorized to start recording');
       }
 
-      // Check consent (in a real implementation, this would be more sophisticated)
+      if (this.isRecordingInProgress(consultation)) {
+        throw new Error('Recording is already in progress');
+      }
+
+      const consent = this.getRecordingConsentStatus(consultation);
+      if (!consent.requestId) {
+        throw new Error('Request recording consent first');
+      }
+
+      const pending = consent.parties.filter(party => party.decision !== 'accepted');
+      if (pending.length > 0) {
+        throw new Error(`Recording needs consent from ${pending.map(party => `${party.role} ${party.userId}`).join(', ')}`);
+      }
+
+      // Participants who joined after the request have not been asked
+      const unasked = this.getRecordingParties(consultation)
+        .filter(party => !consent.parties.some(p => p.userId === party.userId));
+      if (unasked.length > 0) {
+        throw new Error('Participants have joined since consent was requested; request consent again');
+      }
+
+      const startTime = new Date();
+      const recording = await recordingService.createRecording(consultation, userId, startTime, mimeType);
+
       consultation.recording.isRecorded = true;
-      consultation.recording.recordingStartTime = new Date();
-      consultation.recording.consentGiven = {
-        patient: true, // In practice, this should be explicitly obtained
-        provider: true
-      };
+      consultation.recording.recordingId = recording.recordingId;
+      consultation.recording.recordingStartTime = startTime;
+      consultation.recording.recordingEndTime = undefined;
+      consultation.recording.recordingUrl = undefined;
+      consultation.recording.recordingSize = undefined;
+      consultation.recording.consentGiven = { patient: true, provider: true };
+      consultation.recording.consentTrail.push({
+        event: 'recording_started',
+        requestId: consent.requestId,
+        userId,
+        role: 'provider',
+        at: startTime
+      });
 
       await consultation.save();
 
+      this.emitRecordingEvent(sessionId, 'recording-started', {
+        startedBy: userId.toString(),
+        recordingId: recording.recordingId,
+        at: startTime
+      });
+
       return {
         recordingStarted: true,
-        recordingId: `rec_${consultation.sessionId}_${Date.now()}`
+        recordingId: recording.recordingId,
+        uploadUrl: `/api/recordings/${recording.recordingId}/chunks`,
+        maxChunkBytes: recordingConfig.maxChunkBytes
       };
     } catch (error) {
       throw new Error(`Failed to start recording: ${error.message}`);
     }
   }
 
+  // End the recording in progress and add the stop to the consent trail. The recording
+  // URL is set once the client has finished uploading it.
+  finishRecording(consultation, userId, role, reason) {
+    const endTime = new Date();
+    consultation.recording.recordingEndTime = endTime;
+    consultation.recording.consentTrail.push({
+      event: 'recording_stopped',
+      requestId: consultation.recording.consentRequest.requestId,
+      userId,
+      role,
+      at: endTime,
+      reason
+    });
+  }
+
   // Stop recording
   async stopRecording(sessionId, userId) {
     try {
-      const consultation = await Consultation.findOne({ sessionId });
+      const consultation = await Consultation.findOne({ sessionId })
+        .populate('patient provider', 'userId');
       if (!consultation) {
         throw new Error('Consultation session not found');
       }
 
-      if (!consultation.recording.isRecorded) {
-        throw new Error('No active recording found');
+      const party = this.getRecordingParties(consultation).find(p => p.userId === userId.toString());
+      if (!party) {
+        throw new Error('Access denied: not a participant of this consultation');
+      }
+      if (party.role === 'observer') {
+        throw new Error('Observers cannot control recording');
       }
 
-      consultation.recording.recordingEndTime = new Date();
-      // In a real implementation, you would save the recording file and get the URL
-      consultation.recording.recordingUrl = `recordings/${consultation.sessionId}.mp4`;
+      if (!this.isRecordingInProgress(consultation)) {
+        throw new Error('No active recording found');
+      }
 
+      this.finishRecording(consultation, userId, party.role, 'stopped');
       await consultation.save();
+      await recordingService.markEnded(consultation.recording.recordingId, consultation.recording.recordingEndTime);
+
+      this.emitRecordingEvent(sessionId, 'recording-stopped', {
+        stoppedBy: userId.toString(),
+        reason: 'stopped',
+        at: consultation.recording.recordingEndTime
+      });
 
       return {
         recordingStopped: true,
-        recordingUrl: consultation.recording.recordingUrl
+        recordingId: consultation.recording.recordingId,
+        completeUrl: `/api/recordings/${consultation.recording.recordingId}/complete`
       };
     } catch (error) {
       throw new Error(`Failed to stop recording: ${error.message}`);
     }
   }
 
+  // Recording consent trail of a session, for compliance export
+  async getRecordingConsentTrail(sessionId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId })
+        .select('sessionId patient provider recording');
+
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+
+      return {
+        sessionId: consultation.sessionId,
+        consultationId: consultation._id,
+        patient: consultation.patient,
+        provider: consultation.provider,
+        currentRequest: this.getRecordingConsentStatus(consultation),
+        trail: consultation.recording.consentTrail.map(entry => ({
+          at: entry.at,
+          event: entry.event,
+          requestId: entry.requestId,
+          userId: entry.userId,
+          role: entry.role,
+          reason: entry.reason
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get recording consent trail: ${error.message}`);
+    }
+  }
+
   // Report technical issue
   async reportTechnicalIssue(sessionId, userId, issueType, description) {
     try {
@@ -421,43 +1391,90 @@ class ConsultationService {
 
   // Verify user authorization
   verifyUserAuthorization(consultation, userId, role) {
-    const patientId = consultation.patient._id.toString();
-    const providerId = consultation.provider._id.toString();
+    const patientUserId = consultation.patient.userId.toString();
+    const providerUserId = consultation.provider.userId.toString();
 
-    if (role === 'patient' && userId.toString() === patientId) {
+    if (role === 'patient' && userId.toString() === patientUserId) {
       return true;
     }
-    if (role === 'provider' && userId.toString() === providerId) {
+    if (role === 'provider' && userId.toString() === providerUserId) {
       return true;
     }
     if (role === 'observer') {
-      // Additional logic for observers (e.g., medical students, supervisors)
-      return false; // For now, observers are not allowed
+      // Invited observers (e.g. residents, supervisors) the patient has consented to
+      const invitation = this.getObserverInvitation(consultation, userId);
+      return Boolean(invitation && invitation.status === 'consented');
     }
 
     return false;
   }
 
-  // Get WebRTC configuration
-  getWebRTCConfig() {
+  // Get WebRTC configuration. Configured TURN servers get credentials for this user and
+  // session; clients fetch fresh ones from the ice-servers endpoint at refreshAt, once
+  // TURN_REFRESH_AT_LIFETIME of their lifetime has passed, so ICE restarts never use
+  // expired credentials.
+  getWebRTCConfig(userId, sessionId) {
+    const iceServers = [...webrtc.iceServers];
+    const { turn } = webrtc;
+    let expiresAt = null;
+    let refreshAt = null;
+
+    if (turn.urls.length > 0 && turn.secret) {
+      const credentials = createTurnCredentials(turn.secret, turn.credentialTtlSeconds, `${userId}.${sessionId}`);
+      iceServers.push({ urls: turn.urls, username: credentials.username, credential: credentials.credential });
+      expiresAt = credentials.expiresAt;
+      refreshAt = new Date(expiresAt.getTime() - turn.credentialTtlSeconds * 1000 * (1 - TURN_REFRESH_AT_LIFETIME));
+    }
+
     return {
-      iceServers: webrtc.iceServers,
-      iceCandidatePoolSize: 10
+      iceServers,
+      iceCandidatePoolSize: 10,
+      expiresAt,
+      refreshAt
+    };
+  }
+
+  // Summary of a waiting or active session
+  formatActiveSession(consultation) {
+    const participants = consultation.participants
+      .filter(p => !p.leftAt)
+      .map(p => p.userId.toString());
+
+    return {
+      sessionId: consultation.sessionId,
+      consultationId: consultation._id,
+      status: consultation.status,
+      participants,
+      participantCount: participants.length,
+      waitingSince: (consultation.waitingRoom && consultation.waitingRoom.patientJoinedAt) || null,
+      startTime: consultation.startTime || null
     };
   }
 
   // Get active session info
-  getActiveSessionInfo(sessionId) {
-    return this.activeSessions.get(sessionId) || null;
+  async getActiveSessionInfo(sessionId) {
+    try {
+      const consultation = await Consultation.findOne({
+        sessionId,
+        status: { $in: ['waiting', 'active'] }
+      }).select('sessionId status participants waitingRoom startTime');
+
+      return consultation ? this.formatActiveSession(consultation) : null;
+    } catch (error) {
+      throw new Error(`Failed to get active session: ${error.message}`);
+    }
   }
 
   // Get all active sessions (for monitoring)
-  getAllActiveSessions() {
-    return Array.from(this.activeSessions.entries()).map(([sessionId, info]) => ({
-      sessionId,
-      ...info,
-      participantCount: info.participants.size
-    }));
+  async getAllActiveSessions() {
+    try {
+      const consultations = await Consultation.find({ status: { $in: ['waiting', 'active'] } })
+        .select('sessionId status participants waitingRoom startTime');
+
+      return consultations.map(consultation => this.formatActiveSession(consultation));
+    } catch (error) {
+      throw new Error(`Failed to get active sessions: ${error.message}`);
+    }
   }
 }
 
@@ -0,0 +1,125 @@
+const messagePublisher = require('./messagePublisher');
+const { deadLetterQueue, assertDeadLetterTopology, assertQueueTopology } = require('../config/rabbitmq');
+
+class DeadLetterService {
+  // Run an operation on a dedicated channel and always close it afterwards
+  async withChannel(operation) {
+    const channel = await messagePublisher.openChannel();
+    try {
+      await assertDeadLetterTopology(channel);
+      return await operation(channel);
+    } finally {
+      await channel.close().catch(() => {});
+    }
+  }
+
+  // Queue a message was rejected from, taken from the broker's x-death header
+  getOriginalQueue(msg) {
+    const headers = msg.properties.headers || {};
+    const deaths = headers['x-death'] || [];
+    const rejection = deaths.find(death => death.reason === 'rejected');
+    return rejection ? rejection.queue : headers['x-first-death-queue'];
+  }
+
+  // Summarize a dead-lettered message for the admin API
+  formatMessage(msg) {
+    const headers = msg.properties.headers || {};
+    return {
+      messageId: msg.properties.messageId,
+      content: msg.content.toString(),
+      originalQueue: this.getOriginalQueue(msg),
+      retryCount: headers['x-retry-count'] || 0,
+      lastError: headers['x-last-error'] || null,
+      senderId: headers.senderId,
+      timestamp: msg.properties.timestamp ? new Date(msg.properties.timestamp) : null
+    };
+  }
+
+  // Fetch up to `limit` messages without acking them
+  async fetchMessages(channel, limit) {
+    const messages = [];
+    while (messages.length < limit) {
+      const msg = await channel.get(deadLetterQueue, { noAck: false });
+      if (!msg) {
+        break;
+      }
+      messages.push(msg);
+    }
+    return messages;
+  }
+
+  // Inspect dead-lettered messages, leaving them on the queue
+  async getDeadLetters(limit = 50) {
+    try {
+      return await this.withChannel(async (channel) => {
+        const { messageCount } = await channel.checkQueue(deadLetterQueue);
+        const messages = await this.fetchMessages(channel, limit);
+        const data = messages.map(msg => this.formatMessage(msg));
+
+        // Put everything back in its original position
+        messages.forEach(msg => channel.nack(msg, false, true));
+
+        return { messages: data, total: messageCount };
+      });
+    } catch (error) {
+      throw new Error(`Failed to get dead letters: ${error.message}`);
+    }
+  }
+
+  // Move dead-lettered messages back to their original queue for a fresh set of retries
+  async requeueDeadLetters(limit = 50) {
+    try {
+      return await this.withChannel(async (channel) => {
+        const messages = await this.fetchMessages(channel, limit);
+        const requeued = [];
+        const skipped = [];
+
+        for (const msg of messages) {
+          const originalQueue = this.getOriginalQueue(msg);
+          if (!originalQueue) {
+            channel.nack(msg, false, true);
+            skipped.push(msg.properties.messageId);
+            continue;
+          }
+
+          const headers = { ...(msg.properties.headers || {}) };
+          delete headers['x-death'];
+          delete headers['x-first-death-queue'];
+          delete headers['x-first-death-reason'];
+          delete headers['x-first-death-exchange'];
+          delete headers['x-retry-count'];
+          delete headers['x-last-error'];
+
+          await assertQueueTopology(channel, originalQueue);
+          await new Promise((resolve, reject) => {
+            channel.sendToQueue(originalQueue, msg.content, {
+              ...msg.properties,
+              persistent: true,
+              headers
+            }, (err) => (err ? reject(err) : resolve()));
+          });
+          channel.ack(msg);
+          requeued.push({ messageId: msg.properties.messageId, queue: originalQueue });
+        }
+
+        return { requeued, skipped };
+      });
+    } catch (error) {
+      throw new Error(`Failed to requeue dead letters: ${error.message}`);
+    }
+  }
+
+  // Permanently delete every dead-lettered message
+  async purgeDeadLetters() {
+    try {
+      return await this.withChannel(async (channel) => {
+        const { messageCount } = await channel.purgeQueue(deadLetterQueue);
+        return { purged: messageCount };
+      });
+    } catch (error) {
+      throw new Error(`Failed to purge dead letters: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -3,12 +3,18 @@ const Patient = require('../models/Patient');
 const User = require('../models/User');
 const Provider = require('../models/Provider');
 const emailService = require('./emailService');
+const broker = require('../brokers');
+const eventLogService = require('./eventLogService');
+const jobScheduler = require('./jobScheduler');
+const presenceService = require('./presenceService');
 const { v4: uuidv4 } = require('uuid');
 
 class EmergencyResponseService {
   constructor() {
-    this.escalationTimeouts = new Map(); // Store escalation timers
-    this.responseTeams = new Map(); // Store active response teams
+    // Escalation timers are scheduled jobs in MongoDB, so any instance can fire them
+    jobScheduler.register('emergency.escalate', ({ alertId, targetLevel }) =>
+      this.escalateAlert(alertId, targetLevel)
+    );
   }
 
   // Create emergency alert
@@ -61,6 +67,8 @@ class EmergencyResponseService {
       // Start response workflow
       await this.initiateEmergencyResponse(emergencyAlert);
 
+      this.publishAlertEvent('emergency.alert.created', emergencyAlert);
+
       return {
         success: true,
         data: emergencyAlert,
@@ -170,14 +178,14 @@ class EmergencyResponseService {
       .populate('userId', 'firstName lastName phone email')
       .sort({ experience: -1 });
 
-      // Filter by availability and proximity (simplified)
-      const availableProviders = providers.filter(provider => {
-        // Check if provider is currently online or available
-        // This would integrate with real-time presence system
-        return true; // Simplified for demo
-      });
+      // Prefer providers who are online, then away, then busy in a consultation.
+      // Offline providers are only used when nobody is connected.
+      const withUser = providers.filter(provider => provider.userId);
+      const statuses = await presenceService.getStatuses(withUser.map(provider => provider.userId._id));
+      const ranked = presenceService.rankByPresence(withUser, statuses, provider => provider.userId._id);
+      const connected = ranked.filter(provider => statuses.get(provider.userId._id.toString()) !== 'offline');
 
-      return availableProviders;
+      return connected.length > 0 ? connected : ranked;
     } catch (error) {
       console.error('Error finding available providers:', error);
       return [];
@@ -279,12 +287,12 @@ class EmergencyResponseService {
       ];
 
       for (const rule of escalationRules) {
-        const timeoutId = setTimeout(async () => {
-          await this.escalateAlert(emergencyAlert._id, rule.targetLevel);
-        }, rule.timeThreshold * 60 * 1000);
-
-        // Store timeout for potential cancellation
-        this.escalationTimeouts.set(`${emergencyAlert._id}-${rule.targetLevel}`, timeoutId);
+        await jobScheduler.schedule(
+          'emergency.escalate',
+          emergencyAlert._id,
+          new Date(Date.now() + rule.timeThreshold * 60 * 1000),
+          { alertId: emergencyAlert._id.toString(), targetLevel: rule.targetLevel }
+        );
       }
 
       emergencyAlert.escalation.escalationRules = escalationRules;
@@ -318,6 +326,8 @@ class EmergencyResponseService {
         automated: true
       });
 
+      this.publishAlertEvent('emergency.alert.escalated', emergencyAlert);
+
       console.log(`Alert ${emergencyAlert.alertId} escalated to level ${targetLevel}`);
     } catch (error) {
       console.error('Error escalating alert:', error);
@@ -379,7 +389,7 @@ class EmergencyResponseService {
 
       // Cancel escalation timers if acknowledged by primary responder
       if (emergencyAlert.response.assignedTo?.toString() === userId.toString()) {
-        this.cancelEscalationTimers(alertId);
+        await this.cancelEscalationTimers(alertId);
       }
 
       // Log acknowledgment
@@ -391,6 +401,7 @@ class EmergencyResponseService {
 
       // Broadcast acknowledgment
       this.broadcastAlertUpdate(emergencyAlert);
+      this.publishAlertEvent('emergency.alert.acknowledged', emergencyAlert);
 
       return {
         success: true,
@@ -439,7 +450,7 @@ class EmergencyResponseService {
       await emergencyAlert.save();
 
       // Cancel any remaining escalation timers
-      this.cancelEscalationTimers(alertId);
+      await this.cancelEscalationTimers(alertId);
 
       // Log resolution
       await this.addTimelineEvent(alertId, {
@@ -450,6 +461,7 @@ class EmergencyResponseService {
 
       // Broadcast resolution
       this.broadcastAlertUpdate(emergencyAlert);
+      this.publishAlertEvent('emergency.alert.resolved', emergencyAlert);
 
       return {
         success: true,
@@ -463,12 +475,7 @@ class EmergencyResponseService {
 
   // Cancel escalation timers
   cancelEscalationTimers(alertId) {
-    for (const [key, timeoutId] of this.escalationTimeouts.entries()) {
-      if (key.startsWith(alertId.toString())) {
-        clearTimeout(timeoutId);
-        this.escalationTimeouts.delete(key);
-      }
-    }
+    return jobScheduler.cancel('emergency.escalate', alertId);
   }
 
   // Add timeline event
@@ -508,7 +515,7 @@ class EmergencyResponseService {
   broadcastEmergencyAlert(emergencyAlert) {
     const io = require('../index').io;
     if (io) {
-      io.emit('emergency-alert', {
+      eventLogService.broadcast(io.of('/emergency'), 'emergency-alert', {
         alertId: emergencyAlert.alertId,
         patientId: emergencyAlert.patient,
         severity: emergencyAlert.severity,
@@ -524,7 +531,7 @@ class EmergencyResponseService {
   broadcastAlertUpdate(emergencyAlert) {
     const io = require('../index').io;
     if (io) {
-      io.emit('emergency-alert-update', {
+      eventLogService.broadcast(io.of('/emergency'), 'emergency-alert-update', {
         alertId: emergencyAlert.alertId,
         status: emergencyAlert.status,
         response: emergencyAlert.response,
@@ -534,6 +541,19 @@ class EmergencyResponseService {
     }
   }
 
+  // Publish an emergency alert domain event on the topic exchange
+  publishAlertEvent(routingKey, emergencyAlert) {
+    broker.publishEvent(routingKey, {
+      alertId: emergencyAlert.alertId,
+      patientId: (emergencyAlert.patient._id || emergencyAlert.patient).toString(),
+      assignedTo: emergencyAlert.response?.assignedTo ? emergencyAlert.response.assignedTo.toString() : null,
+      alertType: emergencyAlert.alertType,
+      status: emergencyAlert.status,
+      severity: emergencyAlert.severity,
+      escalationLevel: emergencyAlert.escalation?.level
+    });
+  }
+
   // Get active emergency alerts
   async getActiveAlerts(filters = {}) {
     try {
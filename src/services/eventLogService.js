@@ -0,0 +1,160 @@
+const { v4: uuidv4 } = require('uuid');
+const { eventLog } = require('../config/config');
+
+// Log key for events sent to every connected client rather than a room
+const BROADCAST = 'broadcast';
+
+// Rooms are scoped to a Socket.IO namespace, and so are their logs
+function getLogKey(namespace, room) {
+  return `${namespace}#${room}`;
+}
+
+// Namespace name of io, a namespace or a socket
+function getNamespaceName(emitter) {
+  if (emitter.nsp) return emitter.nsp.name;
+  if (typeof emitter.name === 'string') return emitter.name;
+  return emitter.sockets.name;
+}
+
+class EventLogService {
+  constructor() {
+    // Sequence numbers restart with the process; clients detect that through the epoch
+    this.epoch = uuidv4();
+    this.rooms = new Map(); // namespace#room -> { seq, events: [{ order, event, payload, timestamp }] }
+    this.order = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  getRoomLog(namespace, room) {
+    const key = getLogKey(namespace, room);
+    if (!this.rooms.has(key)) {
+      this.rooms.set(key, { seq: 0, events: [] });
+    }
+    return this.rooms.get(key);
+  }
+
+  // Drop events past the retention window or beyond the per-room bound
+  prune(log, now = Date.now()) {
+    const cutoff = now - eventLog.retentionMs;
+    while (log.events.length > 0 &&
+      (log.events.length > eventLog.maxEventsPerRoom || log.events[0].timestamp < cutoff)) {
+      log.events.shift();
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.rooms.forEach(log => this.prune(log, now));
+  }
+
+  // Store an event in the log of every target room. Returns the payload to emit,
+  // stamped with an eventId, the event's sequence number in each room and the epoch
+  // those numbers belong to. Each instance numbers its own events: with several
+  // instances, a room receives events from more than one epoch.
+  record(namespace, rooms, event, data) {
+    const targets = Array.isArray(rooms) ? rooms : [rooms];
+    const payload = {
+      ...data,
+      eventId: uuidv4(),
+      eventEpoch: this.epoch,
+      eventLog: {}
+    };
+    const entry = { order: ++this.order, event, payload, timestamp: Date.now() };
+
+    targets.forEach(room => {
+      const log = this.getRoomLog(namespace, room);
+      log.seq += 1;
+      payload.eventLog[room] = log.seq;
+      log.events.push(entry);
+      this.prune(log);
+    });
+
+    return payload;
+  }
+
+  // Record and emit to rooms through io, a namespace or a socket (socket.to excludes the sender)
+  emit(emitter, rooms, event, data) {
+    emitter.to(rooms).emit(event, this.record(getNamespaceName(emitter), rooms, event, data));
+  }
+
+  // Record and emit to every client of a namespace; a socket broadcasts to everyone but itself
+  broadcast(emitter, event, data) {
+    const payload = this.record(getNamespaceName(emitter), BROADCAST, event, data);
+    (emitter.broadcast || emitter).emit(event, payload);
+  }
+
+  // Whether the events after lastSeq are still available in a room's log
+  checkReplay(namespace, room, lastSeq) {
+    const log = this.rooms.get(getLogKey(namespace, room)) || { seq: 0, events: [] };
+    this.prune(log);
+
+    if (lastSeq > log.seq) {
+      return { ok: false, reason: 'unknown_sequence', currentSeq: log.seq };
+    }
+
+    const firstSeq = log.events.length > 0 ? log.events[0].payload.eventLog[room] : log.seq + 1;
+    if (lastSeq + 1 < firstSeq) {
+      return { ok: false, reason: 'events_expired', currentSeq: log.seq };
+    }
+
+    return {
+      ok: true,
+      currentSeq: log.seq,
+      events: log.events.filter(entry => entry.payload.eventLog[room] > lastSeq)
+    };
+  }
+
+  // Replay missed events to a reconnecting socket. `rooms` maps each room to the last
+  // sequence number the client saw in `epoch`; rooms the socket has not joined are skipped.
+  // Only this instance's events are logged here, so only they can be replayed.
+  // Rooms whose missed events are gone get a `resync-required` signal instead.
+  replay(socket, { epoch, rooms = {} }) {
+    const namespace = socket.nsp.name;
+    const resync = [];
+    const skipped = [];
+    const missed = new Map();
+
+    Object.entries(rooms).forEach(([room, lastSeq]) => {
+      if (room !== BROADCAST && !socket.rooms.has(room)) {
+        skipped.push(room);
+        return;
+      }
+
+      const check = epoch === this.epoch
+        ? this.checkReplay(namespace, room, Number(lastSeq) || 0)
+        : { ok: false, reason: 'epoch_changed', currentSeq: this.getRoomLog(namespace, room).seq };
+
+      if (!check.ok) {
+        resync.push(room);
+        socket.emit('resync-required', {
+          room,
+          lastSeq,
+          currentSeq: check.currentSeq,
+          reason: check.reason,
+          epoch: this.epoch
+        });
+        return;
+      }
+
+      // An event sent to several rooms is replayed once
+      check.events.forEach(entry => missed.set(entry.payload.eventId, entry));
+    });
+
+    const events = [...missed.values()].sort((a, b) => a.order - b.order);
+    events.forEach(entry => socket.emit(entry.event, { ...entry.payload, replayed: true }));
+
+    return { epoch: this.epoch, replayed: events.length, resync, skipped };
+  }
+
+  getStats() {
+    let events = 0;
+    this.rooms.forEach(log => {
+      events += log.events.length;
+    });
+    return { epoch: this.epoch, rooms: this.rooms.size, events };
+  }
+}
+
+module.exports = new EventLogService();
@@ -1,12 +1,118 @@
-const messageHistory = [];
+const Message = require('../models/Message');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const { messageHistory } = require('../config/config');
 
-function addMessageToHistory(message) {
-  // Append a timestamp with each message
-  messageHistory.push({ message, timestamp: new Date() });
+// Store a consumed message (idempotent, so redeliveries are not duplicated)
+async function addMessageToHistory(messageData) {
+  const {
+    messageId,
+    type,
+    content,
+    payload,
+    recipients,
+    rooms,
+    correlationId,
+    queue,
+    senderId,
+    receivedAt
+  } = messageData;
+
+  return Message.findOneAndUpdate(
+    { messageId: messageId || uuidv4() },
+    {
+      $setOnInsert: {
+        type,
+        content,
+        payload,
+        recipients,
+        rooms,
+        correlationId,
+        queue,
+        senderId,
+        receivedAt: receivedAt || new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Get message history with filters and pagination
+async function getMessageHistory(options = {}) {
+  try {
+    const {
+      startDate,
+      endDate,
+      senderId,
+      queue,
+      limit = 50,
+      page = 1
+    } = options;
+
+    const query = {};
+
+    if (startDate || endDate) {
+      query.receivedAt = {};
+      if (startDate) query.receivedAt.$gte = new Date(startDate);
+      if (endDate) query.receivedAt.$lte = new Date(endDate);
+    }
+
+    if (senderId) {
+      query.senderId = senderId;
+    }
+
+    if (queue) {
+      query.queue = queue;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const messages = await Message.find(query)
+      .sort({ receivedAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Message.countDocuments(query);
+
+    return {
+      messages,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        totalMessages: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    };
+  } catch (error) {
+    throw new Error(`Failed to get message history: ${error.message}`);
+  }
+}
+
+// Delete messages older than the configured retention period
+async function purgeExpiredMessages() {
+  const cutoff = new Date(Date.now() - messageHistory.retentionDays * 24 * 60 * 60 * 1000);
+  const result = await Message.deleteMany({ receivedAt: { $lt: cutoff } });
+  return result.deletedCount;
 }
 
-function getMessageHistory() {
-  return messageHistory;
+// Run the retention purge on a schedule
+function scheduleHistoryRetention() {
+  return cron.schedule(messageHistory.retentionSchedule, async () => {
+    try {
+      const deleted = await purgeExpiredMessages();
+      if (deleted > 0) {
+        console.log(`Purged ${deleted} messages older than ${messageHistory.retentionDays} days`);
+      }
+    } catch (error) {
+      console.error('Error purging message history:', error);
+    }
+  });
 }
 
-module.exports = { addMessageToHistory, getMessageHistory };
+module.exports = {
+  addMessageToHistory,
+  getMessageHistory,
+  purgeExpiredMessages,
+  scheduleHistoryRetention
+};
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const MessageThread = require('../models/MessageThread');
+const ThreadMessage = require('../models/ThreadMessage');
+const Patient = require('../models/Patient');
+const Provider = require('../models/Provider');
+const roomAuthorizationService = require('./roomAuthorizationService');
+const { v4: uuidv4 } = require('uuid');
+
+class InboxService {
+  // Resolve the patient or provider profile behind a user account
+  async resolveParticipant(userId) {
+    const patient = await Patient.findOne({ userId });
+    if (patient) {
+      return { userId: patient.userId, role: 'patient', patient };
+    }
+
+    const provider = await Provider.findOne({ userId });
+    if (provider) {
+      return { userId: provider.userId, role: 'provider', provider };
+    }
+
+    throw new Error('Only patients and providers can use the inbox');
+  }
+
+  // Load a thread the user participates in
+  async getAuthorizedThread(threadId, userId) {
+    const thread = await MessageThread.findOne({ threadId });
+    if (!thread) {
+      throw new Error('Thread not found');
+    }
+
+    const isParticipant = thread.participants.some(p => p.userId.toString() === userId.toString());
+    if (!isParticipant) {
+      throw new Error('Access denied to this thread');
+    }
+
+    return thread;
+  }
+
+  // Start a new thread between a patient and one or more providers
+  async createThread(userId, threadData) {
+    try {
+      const { patientId, subject, message } = threadData;
+      const providerIds = [...(threadData.providerIds || [])];
+      const sender = await this.resolveParticipant(userId);
+
+      let patient;
+      let providers;
+      if (sender.role === 'patient') {
+        patient = sender.patient;
+        if (providerIds.length === 0 && patient.primaryCareProvider) {
+          providerIds.push(patient.primaryCareProvider);
+        }
+        providers = await Provider.find({ _id: { $in: providerIds } });
+      } else {
+        patient = await Patient.findById(patientId);
+        providers = await Provider.find({ _id: { $in: [sender.provider._id, ...providerIds] } });
+      }
+
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
+      if (providers.length === 0 || providers.length < new Set(providerIds.map(String)).size) {
+        throw new Error('Provider not found');
+      }
+      this.validateMessageBody(message);
+
+      // Threads only connect a patient with their primary care provider and care team,
+      // the providers allowed into the patient's room
+      for (const provider of providers) {
+        const decision = await roomAuthorizationService.authorizePatientRoom(
+          { id: provider.userId.toString() },
+          patient._id.toString()
+        );
+        if (!decision.allowed) {
+          throw new Error(`Provider ${provider._id} is not on the patient's care team`);
+        }
+      }
+
+      const thread = new MessageThread({
+        threadId: uuidv4(),
+        subject,
+        patient: patient._id,
+        providers: providers.map(provider => provider._id),
+        participants: [
+          { userId: patient.userId, role: 'patient' },
+          ...providers.map(provider => ({ userId: provider.userId, role: 'provider' }))
+        ],
+        createdBy: userId
+      });
+
+      await thread.save();
+
+      const threadMessage = await this.addMessage(thread, sender, message);
+
+      return { thread, message: threadMessage };
+    } catch (error) {
+      throw new Error(`Failed to create thread: ${error.message}`);
+    }
+  }
+
+  // Checked before anything is written, so a rejected body never leaves an empty thread behind
+  validateMessageBody(body) {
+    if (!body || typeof body !== 'string') {
+      throw new Error('Message is required');
+    }
+    const maxLength = ThreadMessage.schema.path('body').options.maxlength;
+    if (body.length > maxLength) {
+      throw new Error(`Message must be at most ${maxLength} characters`);
+    }
+  }
+
+  // Store a message, un-archive the thread for everyone and push it live
+  async addMessage(thread, sender, body) {
+    const threadMessage = new ThreadMessage({
+      messageId: uuidv4(),
+      thread: thread._id,
+      sender: sender.userId,
+      senderRole: sender.role,
+      body,
+      readBy: [{ userId: sender.userId, readAt: new Date() }]
+    });
+
+    await threadMessage.save();
+
+    thread.lastMessageAt = threadMessage.createdAt;
+    thread.lastMessagePreview = body.substring(0, 200);
+    thread.messageCount += 1;
+    thread.participants.forEach(participant => {
+      participant.archivedAt = undefined;
+    });
+    await thread.save();
+
+    this.broadcastToThread(thread, 'inbox-message', {
+      threadId: thread.threadId,
+      subject: thread.subject,
+      message: threadMessage
+    });
+
+    return threadMessage;
+  }
+
+  // Reply to an existing thread
+  async postReply(threadId, userId, body) {
+    try {
+      this.validateMessageBody(body);
+
+      const thread = await this.getAuthorizedThread(threadId, userId);
+      const sender = await this.resolveParticipant(userId);
+
+      return await this.addMessage(thread, sender, body);
+    } catch (error) {
+      throw new Error(`Failed to post reply: ${error.message}`);
+    }
+  }
+
+  // List the user's threads with per-thread unread counts
+  async getThreads(userId, archived = false, limit = 20, page = 1) {
+    try {
+      const query = {
+        participants: {
+          $elemMatch: {
+            userId,
+            archivedAt: archived ? { $ne: null } : null
+          }
+        }
+      };
+
+      const skip = (page - 1) * limit;
+
+      const threads = await MessageThread.find(query)
+        .populate({
+          path: 'patient',
+          select: 'userId medicalRecordNumber',
+          populate: { path: 'userId', select: 'firstName lastName' }
+        })
+        .populate({
+          path: 'providers',
+          select: 'userId specializations',
+          populate: { path: 'userId', select: 'firstName lastName' }
+        })
+        .sort({ lastMessageAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .lean();
+
+      const unreadCounts = await this.countUnread(userId, threads.map(thread => thread._id));
+      threads.forEach(thread => {
+        thread.unreadCount = unreadCounts[thread._id.toString()] || 0;
+      });
+
+      const total = await MessageThread.countDocuments(query);
+
+      return {
+        threads,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get threads: ${error.message}`);
+    }
+  }
+
+  // Get a thread and a page of its messages, newest first
+  async getThreadMessages(threadId, userId, limit = 50, page = 1) {
+    try {
+      const thread = await this.getAuthorizedThread(threadId, userId);
+
+      const skip = (page - 1) * limit;
+
+      const messages = await ThreadMessage.find({ thread: thread._id })
+        .populate('sender', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await ThreadMessage.countDocuments({ thread: thread._id });
+
+      return {
+        thread,
+        messages,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get thread messages: ${error.message}`);
+    }
+  }
+
+  // Mark messages as read; all unread messages in the thread when no ids are given
+  async markAsRead(threadId, userId, messageIds = null) {
+    try {
+      const thread = await this.getAuthorizedThread(threadId, userId);
+      const readAt = new Date();
+
+      const query = {
+        thread: thread._id,
+        'readBy.userId': { $ne: userId }
+      };
+      if (Array.isArray(messageIds) && messageIds.length > 0) {
+        query.messageId = { $in: messageIds };
+      }
+
+      const unread = await ThreadMessage.find(query).select('messageId');
+      if (unread.length === 0) {
+        return { read: [], readAt };
+      }
+
+      await ThreadMessage.updateMany(
+        { _id: { $in: unread.map(msg => msg._id) } },
+        { $push: { readBy: { userId, readAt } } }
+      );
+
+      const read = unread.map(msg => msg.messageId);
+
+      this.broadcastToThread(thread, 'inbox-read', {
+        threadId: thread.threadId,
+        userId,
+        messageIds: read,
+        readAt
+      });
+
+      return { read, readAt };
+    } catch (error) {
+      throw new Error(`Failed to mark messages as read: ${error.message}`);
+    }
+  }
+
+  // Archive or restore a thread for the requesting user only
+  async setArchived(threadId, userId, archived = true) {
+    try {
+      const thread = await this.getAuthorizedThread(threadId, userId);
+
+      const participant = thread.participants.find(p => p.userId.toString() === userId.toString());
+      participant.archivedAt = archived ? new Date() : undefined;
+      await thread.save();
+
+      return thread;
+    } catch (error) {
+      throw new Error(`Failed to ${archived ? 'archive' : 'unarchive'} thread: ${error.message}`);
+    }
+  }
+
+  // Unread message counts keyed by thread _id
+  async countUnread(userId, threadIds) {
+    // Aggregation pipelines are not cast by mongoose
+    const counts = await ThreadMessage.aggregate([
+      {
+        $match: {
+          thread: { $in: threadIds },
+          'readBy.userId': { $ne: new mongoose.Types.ObjectId(userId) }
+        }
+      },
+      { $group: { _id: '$thread', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((acc, { _id, count }) => {
+      acc[_id.toString()] = count;
+      return acc;
+    }, {});
+  }
+
+  // Total unread count across every thread the user participates in
+  async getUnreadCount(userId) {
+    try {
+      const threads = await MessageThread.find({ 'participants.userId': userId }).select('threadId');
+      const counts = await this.countUnread(userId, threads.map(thread => thread._id));
+
+      const byThread = threads
+        .map(thread => ({ threadId: thread.threadId, unread: counts[thread._id.toString()] || 0 }))
+        .filter(entry => entry.unread > 0);
+
+      return {
+        total: byThread.reduce((sum, entry) => sum + entry.unread, 0),
+        threads: byThread
+      };
+    } catch (error) {
+      throw new Error(`Failed to get unread count: ${error.message}`);
+    }
+  }
+
+  // Push an inbox event to the patient and provider rooms of a thread
+  broadcastToThread(thread, event, data) {
+    const io = require('../index').io;
+    if (io) {
+      const rooms = [
+        `patient-${thread.patient}`,
+        ...thread.providers.map(providerId => `provider-${providerId}`)
+      ];
+      io.to(rooms).emit(event, data);
+    }
+  }
+}
+
+module.exports = new InboxService();
@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const ScheduledJob = require('../models/ScheduledJob');
+const { scheduler } = require('../config/config');
+
+// Runs delayed jobs stored in MongoDB. Any instance may pick up a due job, so timers
+// survive restarts and keep working when several instances share the database.
+class JobScheduler {
+  constructor() {
+    this.instanceId = uuidv4();
+    this.handlers = new Map(); // job type -> async handler(payload, job)
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Register the handler for a job type
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Schedule a job to run at runAt
+  async schedule(type, key, runAt, payload = {}) {
+    try {
+      return await ScheduledJob.create({ type, key: key.toString(), runAt, payload });
+    } catch (error) {
+      throw new Error(`Failed to schedule job: ${error.message}`);
+    }
+  }
+
+  // Cancel the pending jobs of a type for a key
+  async cancel(type, key) {
+    try {
+      const result = await ScheduledJob.updateMany(
+        { type, key: key.toString(), status: 'pending' },
+        { status: 'cancelled', finishedAt: new Date() }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to cancel jobs: ${error.message}`);
+    }
+  }
+
+  // Claim the next due job: pending, or running on an instance whose lock has expired
+  claimNextJob() {
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate(
+      {
+        type: { $in: Array.from(this.handlers.keys()) },
+        runAt: { $lte: now },
+        $or: [
+          { status: 'pending' },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        status: 'running',
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + scheduler.lockMs),
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    try {
+      await this.handlers.get(job.type)(job.payload, job);
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.instanceId },
+        { status: 'completed', finishedAt: new Date() }
+      );
+    } catch (error) {
+      console.error(`Scheduled job ${job.type} (${job.key}) failed:`, error.message);
+      // Abandoned jobs are retried once their lock expires, up to maxAttempts
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.instanceId },
+        job.attempts >= scheduler.maxAttempts
+          ? { status: 'failed', lastError: error.message, finishedAt: new Date() }
+          : { status: 'pending', lastError: error.message, runAt: new Date(Date.now() + scheduler.lockMs) }
+      );
+    }
+  }
+
+  // Run every due job, one at a time
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      let job = await this.claimNextJob();
+      while (job) {
+        await this.runJob(job);
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      console.error('Error polling scheduled jobs:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), scheduler.pollIntervalMs);
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new JobScheduler();
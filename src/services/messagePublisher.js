@@ -0,0 +1,190 @@
+const amqp = require('amqplib');
+const { url, exchange, assertQueueTopology, assertExchangeTopology } = require('../config/rabbitmq');
+
+class MessagePublisher {
+  constructor() {
+    this.connection = null;
+    this.channel = null;
+    this.connecting = null; // Pending connect() promise shared by concurrent callers
+    // Topology assertions, shared so concurrent publishes wait in order
+    this.queueAssertions = new Map(); // queue -> promise
+    this.exchangeAssertion = null;
+    this.drainWaiters = []; // Publishers waiting for the write buffer to empty
+    this.blocked = false;
+  }
+
+  // Get the shared confirm channel, connecting on first use
+  async getChannel() {
+    if (this.channel) {
+      return this.channel;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  // Open the long-lived connection and confirm channel
+  async connect() {
+    const connection = await amqp.connect(url);
+
+    connection.on('error', (error) => {
+      console.error('RabbitMQ publisher connection error:', error.message);
+    });
+
+    connection.on('close', () => {
+      console.warn('RabbitMQ publisher connection closed');
+      this.reset();
+    });
+
+    const channel = await connection.createConfirmChannel();
+
+    channel.on('error', (error) => {
+      console.error('RabbitMQ publisher channel error:', error.message);
+    });
+
+    channel.on('close', () => {
+      this.reset();
+    });
+
+    // Release publishers held back by a full write buffer
+    channel.on('drain', () => {
+      this.blocked = false;
+      const waiters = this.drainWaiters;
+      this.drainWaiters = [];
+      waiters.forEach(waiter => waiter.resolve());
+    });
+
+    this.connection = connection;
+    this.channel = channel;
+    console.log('RabbitMQ publisher connected');
+
+    return channel;
+  }
+
+  // Forget the current connection so the next publish reconnects
+  reset() {
+    this.connection = null;
+    this.channel = null;
+    this.queueAssertions.clear();
+    this.exchangeAssertion = null;
+    this.blocked = false;
+
+    const waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    waiters.forEach(waiter => waiter.reject(new Error('RabbitMQ publisher channel closed')));
+  }
+
+  // Wait until the channel's write buffer has drained
+  waitForDrain() {
+    return new Promise((resolve, reject) => {
+      this.drainWaiters.push({ resolve, reject });
+    });
+  }
+
+  // Write a message and resolve once the broker has confirmed it
+  async sendWithConfirm(channel, send) {
+    // Apply backpressure while the channel is not accepting writes
+    while (this.blocked) {
+      await this.waitForDrain();
+    }
+
+    return new Promise((resolve, reject) => {
+      const accepted = send((error) => {
+        if (error) {
+          reject(new Error('Message was rejected by the broker'));
+        } else {
+          resolve();
+        }
+      });
+
+      if (!accepted) {
+        this.blocked = true;
+      }
+    });
+  }
+
+  // Publish directly to a queue
+  async publishToQueue(queue, content, options = {}) {
+    const channel = await this.getChannel();
+
+    if (!this.queueAssertions.has(queue)) {
+      this.queueAssertions.set(queue, assertQueueTopology(channel, queue).catch((error) => {
+        this.queueAssertions.delete(queue);
+        throw error;
+      }));
+    }
+    await this.queueAssertions.get(queue);
+
+    const payload = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    return this.sendWithConfirm(channel, (callback) =>
+      channel.sendToQueue(queue, payload, { persistent: true, ...options }, callback)
+    );
+  }
+
+  // Publish to the topic exchange with a routing key such as appointment.created
+  async publish(routingKey, content, options = {}) {
+    return this.publishToExchange(exchange, routingKey, content, options);
+  }
+
+  // Publish to any exchange; only the application's topic exchange is asserted
+  async publishToExchange(exchangeName, routingKey, content, options = {}) {
+    const channel = await this.getChannel();
+
+    if (exchangeName === exchange) {
+      if (!this.exchangeAssertion) {
+        this.exchangeAssertion = assertExchangeTopology(channel).catch((error) => {
+          this.exchangeAssertion = null;
+          throw error;
+        });
+      }
+      await this.exchangeAssertion;
+    }
+
+    const payload = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    return this.sendWithConfirm(channel, (callback) =>
+      channel.publish(exchangeName, routingKey, payload, { persistent: true, ...options }, callback)
+    );
+  }
+
+  // Open a separate confirm channel on the shared connection (caller closes it)
+  async openChannel() {
+    await this.getChannel();
+    return this.connection.createConfirmChannel();
+  }
+
+  // Connection state reported through /health
+  getStatus() {
+    return {
+      status: this.channel ? 'connected' : 'disconnected',
+      blocked: this.blocked,
+      pendingDrain: this.drainWaiters.length
+    };
+  }
+
+  // Wait for outstanding confirms and close the connection
+  async close() {
+    const { connection, channel } = this;
+    if (!connection) {
+      return;
+    }
+
+    try {
+      if (channel) {
+        await channel.waitForConfirms();
+        await channel.close();
+      }
+      await connection.close();
+    } finally {
+      this.reset();
+    }
+  }
+}
+
+module.exports = new MessagePublisher();
@@ -1,24 +1,197 @@
 const amqp = require('amqplib');
-const { url, queue } = require('../config/rabbitmq');
+const {
+  url,
+  exchange,
+  reconnect,
+  retryDelays,
+  prefetch,
+  getRetryQueueName,
+  assertQueueTopology,
+  assertExchangeTopology
+} = require('../config/rabbitmq');
+
+// Consumer definitions to (re)attach every time a connection is established
+const consumers = [];
+
+let connection = null;
+let reconnectTimer = null;
+
+// Connection state reported through /health
+const consumerState = {
+  status: 'disconnected', // connecting, connected, reconnecting, disconnected
+  connectedAt: null,
+  disconnectedAt: null,
+  lastError: null,
+  reconnectAttempts: 0,
+  nextReconnectAt: null
+};
+
+function setConsumerStatus(status, error = null) {
+  if (consumerState.status !== status) {
+    console.log(`RabbitMQ consumer ${consumerState.status} -> ${status}`);
+  }
+
+  consumerState.status = status;
+  if (error) {
+    consumerState.lastError = {
+      message: error.message,
+      timestamp: new Date()
+    };
+  }
+}
+
+// Delay before the next attempt: exponential backoff with jitter, capped at maxDelay
+function getReconnectDelay(attempt) {
+  const delay = Math.min(reconnect.initialDelay * Math.pow(2, attempt), reconnect.maxDelay);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function scheduleReconnect(error) {
+  connection = null;
+  if (reconnectTimer) {
+    return;
+  }
+
+  if (consumerState.status === 'connected') {
+    consumerState.disconnectedAt = new Date();
+  }
+  setConsumerStatus('reconnecting', error);
+
+  const delay = getReconnectDelay(consumerState.reconnectAttempts);
+  consumerState.reconnectAttempts += 1;
+  consumerState.nextReconnectAt = new Date(Date.now() + delay);
+  console.warn(`RabbitMQ consumer reconnecting in ${delay}ms (attempt ${consumerState.reconnectAttempts})`);
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectConsumer();
+  }, delay);
+}
+
+// Connect, then assert queues and attach every registered consumer
+async function connectConsumer() {
+  if (consumerState.status !== 'reconnecting') {
+    setConsumerStatus('connecting');
+  }
 
-async function startRabbitMQConsumer(io) {
   try {
-    const connection = await amqp.connect(url);
-    const channel = await connection.createChannel();
-    await channel.assertQueue(queue, { durable: false });
-    console.log(`Waiting for messages in queue: ${queue}`);
-
-    channel.consume(queue, (msg) => {
-      if (msg !== null) {
-        const messageContent = msg.content.toString();
-        console.log(`Received message: ${messageContent}`);
-        io.emit('new_message', messageContent);
-        channel.ack(msg);
+    connection = await amqp.connect(url);
+
+    connection.on('error', (error) => {
+      console.error('RabbitMQ consumer connection error:', error.message);
+      consumerState.lastError = { message: error.message, timestamp: new Date() };
+    });
+
+    connection.on('close', () => {
+      scheduleReconnect(new Error('Connection closed'));
+    });
+
+    // Confirm mode so a retry copy is safely stored before the original is acked
+    const channel = await connection.createConfirmChannel();
+    await channel.prefetch(prefetch);
+
+    // A closed channel stops delivery, so recover through a full reconnect
+    channel.on('close', () => {
+      if (connection) {
+        connection.close().catch(() => {});
       }
     });
+
+    await assertExchangeTopology(channel);
+    for (const definition of consumers) {
+      await setupConsumer(channel, definition);
+    }
+
+    consumerState.connectedAt = new Date();
+    consumerState.reconnectAttempts = 0;
+    consumerState.nextReconnectAt = null;
+    setConsumerStatus('connected');
+  } catch (error) {
+    console.error('Error in RabbitMQ consumer:', error.message);
+    if (connection) {
+      // The close handler schedules the reconnect
+      connection.close().catch(() => scheduleReconnect(error));
+      consumerState.lastError = { message: error.message, timestamp: new Date() };
+    } else {
+      scheduleReconnect(error);
+    }
+  }
+}
+
+// Run a handler for one delivery. Failures are retried through the delay
+// queues and dead-lettered once every retry has been used; errors marked
+// `retryable = false` are dead-lettered straight away.
+async function handleDelivery(channel, queueName, msg, handler) {
+  const headers = msg.properties.headers || {};
+  const attempt = headers['x-retry-count'] || 0;
+
+  try {
+    await handler(msg, attempt);
+    channel.ack(msg);
   } catch (error) {
-    console.error('Error in RabbitMQ consumer:', error);
+    console.error(`Error handling message from ${queueName} (attempt ${attempt + 1}):`, error.message);
+
+    if (error.retryable !== false && attempt < retryDelays.length) {
+      const delay = retryDelays[attempt];
+      await new Promise((resolve, reject) => {
+        channel.sendToQueue(getRetryQueueName(queueName, delay), msg.content, {
+          ...msg.properties,
+          persistent: true,
+          headers: {
+            ...headers,
+            'x-retry-count': attempt + 1,
+            'x-last-error': error.message
+          }
+        }, (err) => (err ? reject(err) : resolve()));
+      });
+      channel.ack(msg);
+    } else {
+      // Rejecting without requeue routes the message to the dead-letter exchange
+      channel.nack(msg, false, false);
+    }
   }
 }
 
-module.exports = { startRabbitMQConsumer };
+// Assert a consumer's queue, bind it to its routing patterns and start consuming
+async function setupConsumer(channel, definition) {
+  const { name, queue, bindings = [], handler } = definition;
+
+  await assertQueueTopology(channel, queue);
+  for (const pattern of bindings) {
+    await channel.bindQueue(queue, exchange, pattern);
+  }
+
+  await channel.consume(queue, async (msg) => {
+    if (msg === null) {
+      // Consumer was cancelled by the broker (e.g. queue deleted)
+      channel.close().catch(() => {});
+      return;
+    }
+
+    try {
+      await handleDelivery(channel, queue, msg, handler);
+    } catch (error) {
+      // Channel closed mid-handling; the broker redelivers after reconnect
+      console.error('Error settling message:', error.message);
+    }
+  });
+
+  console.log(`Consumer ${name} waiting for messages in queue: ${queue} (${bindings.join(', ')})`);
+}
+
+// Register a consumer: { name, queue, bindings: [routing patterns], handler(msg, attempt) }.
+// Must be called before startRabbitMQConsumer.
+function registerConsumer(definition) {
+  consumers.push(definition);
+}
+
+// Connect and attach every registered consumer, reconnecting as needed
+async function startRabbitMQConsumer() {
+  await connectConsumer();
+}
+
+function getConsumerStatus() {
+  return { ...consumerState };
+}
+
+module.exports = { registerConsumer, startRabbitMQConsumer, getConsumerStatus, getReconnectDelay };
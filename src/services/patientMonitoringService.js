@@ -3,6 +3,8 @@ const EmergencyAlert = require('../models/EmergencyAlert');
 const Device = require('../models/Device');
 const Patient = require('../models/Patient');
 const { v4: uuidv4 } = require('uuid');
+const broker = require('../brokers');
+const eventLogService = require('./eventLogService');
 
 class PatientMonitoringService {
   constructor() {
@@ -69,6 +71,16 @@ class PatientMonitoringService {
       // Send real-time updates
       this.broadcastVitalSigns(vitalSigns);
 
+      // Publish domain event for subscribed subsystems
+      broker.publishEvent(isEmergency ? 'clinical.vitals.critical' : 'clinical.vitals.recorded', {
+        recordId: vitalSigns.recordId,
+        patientId: patientId.toString(),
+        primaryCareProvider: patient.primaryCareProvider ? patient.primaryCareProvider.toString() : null,
+        deviceId,
+        alerts,
+        overallStatus: vitalSigns.trends?.overallStatus
+      });
+
       return {
         success: true,
         data: vitalSigns,
@@ -550,10 +562,11 @@ class PatientMonitoringService {
     // This would integrate with Socket.IO to send real-time updates
     const io = require('../index').io;
     if (io) {
-      io.to(`patient-${vitalSigns.patient}`).emit('vital-signs-update', {
+      eventLogService.emit(io.of('/monitoring'), `patient-${vitalSigns.patient}`, 'vital-signs-update', {
         patientId: vitalSigns.patient,
         vitalSigns: vitalSigns.measurements,
         alerts: vitalSigns.alerts,
+        emergency: vitalSigns.isEmergency,
         timestamp: vitalSigns.createdAt,
         overallStatus: vitalSigns.trends?.overallStatus
       });
@@ -566,7 +579,7 @@ class PatientMonitoringService {
     const io = require('../index').io;
     if (io) {
       // Broadcast to all healthcare providers
-      io.emit('emergency-alert', {
+      eventLogService.broadcast(io.of('/emergency'), 'emergency-alert', {
         alertId: emergencyAlert.alertId,
         patientId: emergencyAlert.patient,
         severity: emergencyAlert.severity,
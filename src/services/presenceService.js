@@ -0,0 +1,261 @@
+const { v4: uuidv4 } = require('uuid');
+const Presence = require('../models/Presence');
+const User = require('../models/User');
+const { presence } = require('../config/config');
+
+// Order in which users are preferred when assigning work
+const STATUS_RANK = { online: 0, away: 1, busy: 2, offline: 3 };
+
+// Status of a user from their open connections
+function computeStatus(doc) {
+  const connections = doc.connections || [];
+  if (connections.length === 0) return 'offline';
+  if (connections.some(connection => connection.sessionId)) return 'busy';
+  if (connections.some(connection => connection.state === 'active')) return 'online';
+  return 'away';
+}
+
+function formatPresence(doc) {
+  return {
+    userId: doc.userId.toString(),
+    role: doc.role,
+    status: doc.status,
+    lastSeenAt: doc.lastSeenAt || null
+  };
+}
+
+class PresenceService {
+  constructor() {
+    // Connections are tagged with the instance holding them, which keeps them alive
+    this.instanceId = uuidv4();
+    this.timer = null;
+  }
+
+  // Patients only see their own presence and that of staff; other roles see everyone
+  canView(viewer, target) {
+    return viewer.role !== 'patient' ||
+      target.userId.toString() === viewer.id.toString() ||
+      target.role !== 'patient';
+  }
+
+  // Record a new client connection
+  connect(socket) {
+    // Kept on the socket so a quick disconnect cannot overtake it
+    socket.presenceConnected = this.addConnection(socket);
+    return socket.presenceConnected;
+  }
+
+  async addConnection(socket) {
+    try {
+      const now = new Date();
+      await Presence.updateOne(
+        { userId: socket.userId },
+        {
+          $set: { role: socket.role },
+          $push: {
+            connections: {
+              connectionId: socket.conn.id,
+              instanceId: this.instanceId,
+              state: 'active',
+              connectedAt: now,
+              lastHeartbeatAt: now
+            }
+          }
+        },
+        { upsert: true }
+      );
+      return await this.refresh(socket.userId);
+    } catch (error) {
+      throw new Error(`Failed to record connection: ${error.message}`);
+    }
+  }
+
+  // Forget a closed client connection
+  async disconnect(socket) {
+    try {
+      await (socket.presenceConnected || Promise.resolve()).catch(() => {});
+      await Presence.updateOne(
+        { userId: socket.userId },
+        {
+          $pull: { connections: { connectionId: socket.conn.id } },
+          $set: { lastSeenAt: new Date() }
+        }
+      );
+      return await this.refresh(socket.userId);
+    } catch (error) {
+      throw new Error(`Failed to record disconnection: ${error.message}`);
+    }
+  }
+
+  // Client heartbeat: the connection is alive, and active or idle (away)
+  async heartbeat(socket, state = 'active') {
+    try {
+      const result = await Presence.updateOne(
+        { userId: socket.userId, 'connections.connectionId': socket.conn.id },
+        {
+          $set: {
+            'connections.$.state': state,
+            'connections.$.lastHeartbeatAt': new Date()
+          }
+        }
+      );
+
+      // The connection was dropped as stale while it was still open
+      if (result.matchedCount === 0) {
+        await this.addConnection(socket);
+        if (state !== 'active') {
+          return this.heartbeat(socket, state);
+        }
+      }
+
+      return await this.refresh(socket.userId);
+    } catch (error) {
+      throw new Error(`Failed to record heartbeat: ${error.message}`);
+    }
+  }
+
+  // Mark a connection as in a consultation (busy), or clear it with a null sessionId
+  async setSession(socket, sessionId) {
+    try {
+      await Presence.updateOne(
+        { userId: socket.userId, 'connections.connectionId': socket.conn.id },
+        { $set: { 'connections.$.sessionId': sessionId } }
+      );
+      return await this.refresh(socket.userId);
+    } catch (error) {
+      throw new Error(`Failed to update consultation presence: ${error.message}`);
+    }
+  }
+
+  // Recompute a user's status and announce it when it changed
+  async refresh(userId) {
+    const doc = await Presence.findOne({ userId });
+    if (!doc) {
+      return null;
+    }
+
+    const status = computeStatus(doc);
+    if (status === doc.status) {
+      return formatPresence(doc);
+    }
+
+    const update = { status };
+    if (status === 'offline') {
+      update.lastSeenAt = doc.lastSeenAt || new Date();
+    }
+
+    // Only the update that actually changes the status announces it
+    const result = await Presence.updateOne({ _id: doc._id, status: doc.status }, update);
+    const current = formatPresence({ ...doc.toObject(), ...update });
+    if (result.modifiedCount > 0) {
+      this.broadcast(current);
+    }
+    return current;
+  }
+
+  // Presence updates go to clients subscribed to the user, on every instance
+  broadcast(update) {
+    const io = require('../index').io;
+    if (io) {
+      io.to(`presence-${update.userId}`).emit('presence-update', update);
+    }
+  }
+
+  // Presence of the given users the viewer may see, a page at a time; users never seen are offline
+  async getPresence(viewer, { userIds, role, status, limit = 100, page = 1 } = {}) {
+    try {
+      const query = {};
+      if (userIds) query.userId = { $in: userIds };
+      if (role) query.role = role;
+      if (status) query.status = status;
+      // Same rule as canView, applied in the query so pages stay full
+      if (viewer.role === 'patient') {
+        query.$or = [{ role: { $ne: 'patient' } }, { userId: viewer.id }];
+      }
+
+      const docs = await Presence.find(query)
+        .select('userId role status lastSeenAt')
+        .sort({ userId: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+      const found = docs.map(formatPresence);
+
+      // Users without a presence record have never connected; they are listed on the first page
+      if (userIds && !role && (!status || status === 'offline') && page === 1) {
+        const known = new Set((await Presence.distinct('userId', { userId: { $in: userIds } }))
+          .map(userId => userId.toString()));
+        const users = await User.find({ _id: { $in: userIds.filter(userId => !known.has(userId.toString())) } })
+          .select('role');
+        users
+          .map(user => ({ userId: user._id, role: user.role, status: 'offline', lastSeenAt: null }))
+          .filter(entry => this.canView(viewer, entry))
+          .forEach(entry => found.push(formatPresence(entry)));
+      }
+
+      return found;
+    } catch (error) {
+      throw new Error(`Failed to get presence: ${error.message}`);
+    }
+  }
+
+  // Status per user ID, for assignment and routing decisions
+  async getStatuses(userIds) {
+    try {
+      const docs = await Presence.find({ userId: { $in: userIds } }).select('userId status');
+      const statuses = new Map(userIds.map(userId => [userId.toString(), 'offline']));
+      docs.forEach(doc => statuses.set(doc.userId.toString(), doc.status));
+      return statuses;
+    } catch (error) {
+      throw new Error(`Failed to get presence statuses: ${error.message}`);
+    }
+  }
+
+  // Sort items by their user's presence, most available first
+  rankByPresence(items, statuses, getUserId) {
+    return items
+      .map((item, index) => ({ item, index, rank: STATUS_RANK[statuses.get(getUserId(item).toString())] }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(entry => entry.item);
+  }
+
+  // Keep this instance's connections alive and drop connections no instance refreshed
+  async sweep() {
+    try {
+      const now = new Date();
+      await Presence.updateMany(
+        { 'connections.instanceId': this.instanceId },
+        { $set: { 'connections.$[connection].lastHeartbeatAt': now } },
+        { arrayFilters: [{ 'connection.instanceId': this.instanceId }] }
+      );
+
+      const cutoff = new Date(now.getTime() - presence.timeoutMs);
+      const stale = await Presence.find({ 'connections.lastHeartbeatAt': { $lt: cutoff } }).select('userId');
+      for (const doc of stale) {
+        await Presence.updateOne(
+          { _id: doc._id },
+          {
+            $pull: { connections: { lastHeartbeatAt: { $lt: cutoff } } },
+            $set: { lastSeenAt: now }
+          }
+        );
+        await this.refresh(doc.userId);
+      }
+    } catch (error) {
+      console.error('Error sweeping presence:', error.message);
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sweep(), presence.heartbeatIntervalMs);
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const Recording = require('../models/Recording');
+const Consultation = require('../models/Consultation');
+const medicalRecordService = require('./medicalRecordService');
+const { recordings: recordingConfig } = require('../config/config');
+
+const FILE_EXTENSIONS = {
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg'
+};
+
+// Upper bound on chunk indexes; at one chunk per second this is over a day of recording
+const MAX_CHUNKS = 100000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Recordings are uploaded in numbered chunks (e.g. MediaRecorder timeslices) that can be
+// sent in any order and re-sent after an interruption. Completing the upload assembles
+// them into one file under the storage directory, which is never served statically.
+class RecordingService {
+  getChunkDir(recordingId) {
+    return path.join(recordingConfig.storageDir, recordingId);
+  }
+
+  getChunkPath(recordingId, index) {
+    return path.join(this.getChunkDir(recordingId), `chunk-${String(index).padStart(6, '0')}`);
+  }
+
+  getFilePath(recording) {
+    return path.join(recordingConfig.storageDir, recording.storagePath);
+  }
+
+  // Create the recording that a consultation's started recording is uploaded to
+  async createRecording(consultation, userId, startedAt, mimeType = 'video/webm') {
+    try {
+      return await Recording.create({
+        recordingId: `rec_${consultation.sessionId}_${startedAt.getTime()}`,
+        consultation: consultation._id,
+        sessionId: consultation.sessionId,
+        patient: consultation.patient._id,
+        provider: consultation.provider._id,
+        startedBy: userId,
+        mimeType,
+        startedAt
+      });
+    } catch (error) {
+      throw new Error(`Failed to create recording: ${error.message}`);
+    }
+  }
+
+  // Mark the end of recording; the client then uploads its last chunks and completes the upload
+  async markEnded(recordingId, endedAt) {
+    if (!recordingId) {
+      return;
+    }
+
+    try {
+      await Recording.updateOne({ recordingId }, { $set: { endedAt } });
+    } catch (error) {
+      throw new Error(`Failed to mark recording ended: ${error.message}`);
+    }
+  }
+
+  // Recording being uploaded by this user
+  async getUpload(recordingId, userId) {
+    const recording = await Recording.findOne({ recordingId });
+    if (!recording) {
+      throw new Error('Recording not found');
+    }
+
+    if (recording.startedBy.toString() !== userId.toString()) {
+      throw new Error('Only the user who started the recording can upload it');
+    }
+
+    return recording;
+  }
+
+  // Store one chunk. Re-sending a chunk replaces it, so a client can retry freely.
+  async storeChunk(recordingId, userId, index, data, expectedChecksum) {
+    try {
+      if (!Number.isInteger(index) || index < 0 || index >= MAX_CHUNKS) {
+        throw new Error(`Chunk index must be an integer from 0 to ${MAX_CHUNKS - 1}`);
+      }
+
+      if (!Buffer.isBuffer(data) || data.length === 0) {
+        throw new Error('Chunk is empty');
+      }
+
+      const recording = await this.getUpload(recordingId, userId);
+      if (recording.status !== 'uploading') {
+        throw new Error('Recording upload is already complete');
+      }
+
+      const checksum = sha256(data);
+      if (expectedChecksum && expectedChecksum.toLowerCase() !== checksum) {
+        throw new Error('Chunk checksum mismatch');
+      }
+
+      // Write under a temporary name so a partly written chunk is never assembled
+      const chunkPath = this.getChunkPath(recordingId, index);
+      const tempPath = `${chunkPath}.${uuidv4()}.tmp`;
+      await fs.promises.mkdir(this.getChunkDir(recordingId), { recursive: true });
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, chunkPath);
+
+      const chunk = { index, size: data.length, checksum, receivedAt: new Date() };
+      const added = await Recording.updateOne(
+        { recordingId, status: 'uploading', 'chunks.index': { $ne: index } },
+        { $push: { chunks: chunk } }
+      );
+      if (added.modifiedCount === 0) {
+        await Recording.updateOne(
+          { recordingId, status: 'uploading' },
+          { $set: { 'chunks.$[chunk]': chunk } },
+          { arrayFilters: [{ 'chunk.index': index }] }
+        );
+      }
+
+      return chunk;
+    } catch (error) {
+      throw new Error(`Failed to store recording chunk: ${error.message}`);
+    }
+  }
+
+  // Which chunks have arrived, so an interrupted upload can resume
+  async getUploadStatus(recordingId, userId) {
+    try {
+      const recording = await this.getUpload(recordingId, userId);
+      const received = new Set(recording.chunks.map(chunk => chunk.index));
+
+      let nextIndex = 0;
+      while (received.has(nextIndex)) {
+        nextIndex += 1;
+      }
+
+      return {
+        recordingId,
+        status: recording.status,
+        receivedChunks: received.size,
+        receivedBytes: recording.chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+        nextIndex, // First chunk not received yet
+        recordingEnded: Boolean(recording.endedAt)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get upload status: ${error.message}`);
+    }
+  }
+
+  // Concatenate the chunks in order into the recording file, hashing as it is written
+  async assemble(recording, totalChunks) {
+    const storagePath = `${recording.recordingId}.${FILE_EXTENSIONS[recording.mimeType]}`;
+    const filePath = path.join(recordingConfig.storageDir, storagePath);
+    const tempPath = `${filePath}.tmp`;
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const file = await fs.promises.open(tempPath, 'w');
+    try {
+      for (let index = 0; index < totalChunks; index += 1) {
+        const data = await fs.promises.readFile(this.getChunkPath(recording.recordingId, index));
+        hash.update(data);
+        size += data.length;
+        await file.write(data);
+      }
+    } finally {
+      await file.close();
+    }
+
+    await fs.promises.rename(tempPath, filePath);
+    await fs.promises.rm(this.getChunkDir(recording.recordingId), { recursive: true, force: true });
+
+    return { storagePath, size, checksum: hash.digest('hex') };
+  }
+
+  // Assemble the uploaded chunks into the stored recording, once recording has stopped
+  async completeUpload(recordingId, userId, totalChunks) {
+    try {
+      if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_CHUNKS) {
+        throw new Error('totalChunks must be a positive integer');
+      }
+
+      const recording = await this.getUpload(recordingId, userId);
+      if (recording.status !== 'uploading') {
+        throw new Error('Recording upload is already complete');
+      }
+
+      if (!recording.endedAt) {
+        throw new Error('Stop the recording before completing the upload');
+      }
+
+      const received = new Set(recording.chunks.map(chunk => chunk.index));
+      const missing = [];
+      for (let index = 0; index < totalChunks && missing.length < 100; index += 1) {
+        if (!received.has(index)) {
+          missing.push(index);
+        }
+      }
+      if (missing.length > 0) {
+        throw new Error(`Missing chunks: ${missing.join(', ')}`);
+      }
+      if (received.size !== totalChunks) {
+        throw new Error(`Received ${received.size} chunks, expected ${totalChunks}`);
+      }
+
+      // Claim the upload so concurrent completions assemble it once
+      const claimed = await Recording.findOneAndUpdate(
+        { recordingId, status: 'uploading' },
+        { $set: { status: 'assembling' } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Recording upload is already complete');
+      }
+
+      let assembled;
+      try {
+        assembled = await this.assemble(claimed, totalChunks);
+      } catch (error) {
+        await Recording.updateOne({ recordingId }, { $set: { status: 'uploading' } });
+        throw error;
+      }
+
+      const completedAt = new Date();
+      const completed = await Recording.findOneAndUpdate(
+        { recordingId },
+        {
+          $set: {
+            status: 'completed',
+            ...assembled,
+            durationSeconds: Math.round((claimed.endedAt - claimed.startedAt) / 1000),
+            completedAt,
+            expiresAt: new Date(completedAt.getTime() + recordingConfig.retentionDays * 24 * 60 * 60 * 1000),
+            chunks: []
+          }
+        },
+        { new: true }
+      );
+
+      await Consultation.updateOne(
+        { _id: claimed.consultation, 'recording.recordingId': recordingId },
+        {
+          $set: {
+            'recording.recordingUrl': `/api/recordings/${recordingId}/stream`,
+            'recording.recordingSize': Math.round((assembled.size / (1024 * 1024)) * 100) / 100
+          }
+        }
+      );
+
+      return completed;
+    } catch (error) {
+      throw new Error(`Failed to complete recording upload: ${error.message}`);
+    }
+  }
+
+  async getRecording(recordingId) {
+    return Recording.findOne({ recordingId }).select('-chunks -accessLog');
+  }
+
+  // Recordings follow the access rules of the patient's medical records
+  async verifyAccess(recording, userId) {
+    return medicalRecordService.verifyAccessPermission(recording.patient, userId);
+  }
+
+  // Recordings of a consultation the user may access. Access is checked against the
+  // consultation, so a session without recordings answers the same as one with them.
+  async getConsultationRecordings(sessionId, userId) {
+    try {
+      const consultation = await Consultation.findOne({ sessionId }).select('patient');
+      if (!consultation) {
+        throw new Error('Consultation session not found');
+      }
+      await medicalRecordService.verifyAccessPermission(consultation.patient, userId);
+
+      return await Recording.find({ sessionId })
+        .select('-chunks -accessLog')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to get recordings: ${error.message}`);
+    }
+  }
+
+  // Log playback and downloads
+  async logAccess(recording, accessedBy, action, ipAddress) {
+    try {
+      await Recording.updateOne(
+        { _id: recording._id },
+        { $push: { accessLog: { accessedBy, accessedAt: new Date(), action, ipAddress } } }
+      );
+    } catch (error) {
+      console.error('Failed to log recording access:', error.message);
+    }
+  }
+
+  // Delete a recording's file and chunks; the record is kept, marked purged
+  async purgeRecording(recording) {
+    await fs.promises.rm(this.getChunkDir(recording.recordingId), { recursive: true, force: true });
+    if (recording.storagePath) {
+      await fs.promises.rm(this.getFilePath(recording), { force: true });
+    }
+
+    await Recording.updateOne(
+      { _id: recording._id },
+      { $set: { status: 'purged', purgedAt: new Date(), chunks: [] }, $unset: { storagePath: 1 } }
+    );
+    await Consultation.updateOne(
+      { _id: recording.consultation, 'recording.recordingId': recording.recordingId },
+      { $unset: { 'recording.recordingUrl': 1 } }
+    );
+  }
+
+  // Purge completed recordings past their retention period, and uploads abandoned
+  // with no chunk received for the configured number of hours
+  async purgeExpiredRecordings() {
+    const now = new Date();
+    const abandonedBefore = new Date(now.getTime() - recordingConfig.abandonedUploadHours * 60 * 60 * 1000);
+    const expired = await Recording.find({
+      $or: [
+        { status: 'completed', expiresAt: { $lte: now } },
+        { status: { $in: ['uploading', 'assembling'] }, updatedAt: { $lt: abandonedBefore } }
+      ]
+    }).select('recordingId consultation storagePath');
+
+    for (const recording of expired) {
+      await this.purgeRecording(recording);
+    }
+    return expired.length;
+  }
+
+  // Run the retention purge on a schedule
+  scheduleRetention() {
+    return cron.schedule(recordingConfig.retentionSchedule, async () => {
+      try {
+        const purged = await this.purgeExpiredRecordings();
+        if (purged > 0) {
+          console.log(`Purged ${purged} consultation recordings`);
+        }
+      } catch (error) {
+        console.error('Error purging consultation recordings:', error);
+      }
+    });
+  }
+}
+
+module.exports = new RecordingService();
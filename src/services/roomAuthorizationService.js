@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Provider = require('../models/Provider');
+const Consultation = require('../models/Consultation');
+const auditService = require('./auditService');
+const { roomAuthorization } = require('../config/config');
+
+// Error codes acknowledged to clients when a join is refused
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'ROOM_NOT_FOUND',
+  FORBIDDEN: 'ROOM_ACCESS_DENIED',
+  INTERNAL: 'INTERNAL_ERROR'
+};
+
+function allow(reason, extra = {}) {
+  return { allowed: true, reason, ...extra };
+}
+
+function deny(code, reason) {
+  return { allowed: false, code, reason };
+}
+
+class RoomAuthorizationService {
+  constructor() {
+    this.errorCodes = ERROR_CODES;
+  }
+
+  isStaff(user) {
+    return roomAuthorization.staffRoles.includes(user.role);
+  }
+
+  // Provider profile of the user, if any
+  async getProvider(user) {
+    return Provider.findOne({ userId: user.id });
+  }
+
+  // Patient rooms: the patient themself, their primary care provider or care team, and staff roles
+  async authorizePatientRoom(user, patientId) {
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return deny(ERROR_CODES.INVALID_REQUEST, 'Invalid patientId');
+    }
+
+    const patient = await Patient.findById(patientId).select('userId primaryCareProvider careTeam');
+    if (!patient) {
+      return deny(ERROR_CODES.NOT_FOUND, 'Patient not found');
+    }
+
+    if (patient.userId.toString() === user.id) {
+      return allow('self');
+    }
+    if (this.isStaff(user)) {
+      return allow('staff_role');
+    }
+
+    const provider = await this.getProvider(user);
+    if (provider) {
+      if (patient.primaryCareProvider && patient.primaryCareProvider.equals(provider._id)) {
+        return allow('primary_care_provider');
+      }
+      if ((patient.careTeam || []).some(member => member.equals(provider._id))) {
+        return allow('care_team');
+      }
+    }
+
+    return deny(ERROR_CODES.FORBIDDEN, 'Not the patient or a member of their care team');
+  }
+
+  // Provider rooms: the provider themself and staff roles
+  async authorizeProviderRoom(user, providerId) {
+    if (!mongoose.Types.ObjectId.isValid(providerId)) {
+      return deny(ERROR_CODES.INVALID_REQUEST, 'Invalid providerId');
+    }
+
+    const provider = await Provider.findById(providerId).select('userId');
+    if (!provider) {
+      return deny(ERROR_CODES.NOT_FOUND, 'Provider not found');
+    }
+
+    if (provider.userId.toString() === user.id) {
+      return allow('self');
+    }
+    if (this.isStaff(user)) {
+      return allow('staff_role');
+    }
+
+    return deny(ERROR_CODES.FORBIDDEN, 'Not this provider');
+  }
+
+  // Consultation rooms: the consultation's patient and provider, observers the patient
+  // has consented to, and staff roles. Allowed decisions carry the user's participant
+  // role and the session's status.
+  async authorizeConsultationRoom(user, sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) {
+      return deny(ERROR_CODES.INVALID_REQUEST, 'Invalid sessionId');
+    }
+
+    const consultation = await Consultation.findOne({ sessionId })
+      .select('patient provider status observers')
+      .populate('patient', 'userId')
+      .populate('provider', 'userId');
+    if (!consultation) {
+      return deny(ERROR_CODES.NOT_FOUND, 'Consultation session not found');
+    }
+
+    const { status } = consultation;
+    if (consultation.patient && consultation.patient.userId.toString() === user.id) {
+      return allow('consultation_patient', { participantRole: 'patient', status });
+    }
+    if (consultation.provider && consultation.provider.userId.toString() === user.id) {
+      return allow('consultation_provider', { participantRole: 'provider', status });
+    }
+    const invitation = consultation.observers.find(observer => observer.userId.toString() === user.id);
+    if (invitation && invitation.status === 'consented') {
+      return allow('consented_observer', { participantRole: 'observer', status });
+    }
+    if (this.isStaff(user)) {
+      return allow('staff_role', { participantRole: 'observer', status });
+    }
+
+    return deny(ERROR_CODES.FORBIDDEN, 'Not a participant of this consultation');
+  }
+
+  // Check whether a socket may join a room and audit the decision
+  async authorizeJoin(socket, roomType, id) {
+    const room = `${roomType}-${id}`;
+    const checks = {
+      patient: () => this.authorizePatientRoom(socket.user, id),
+      provider: () => this.authorizeProviderRoom(socket.user, id),
+      consultation: () => this.authorizeConsultationRoom(socket.user, id)
+    };
+
+    let decision;
+    try {
+      decision = await checks[roomType]();
+    } catch (error) {
+      console.error(`Error authorizing join of ${room}:`, error.message);
+      decision = deny(ERROR_CODES.INTERNAL, 'Authorization check failed');
+    }
+
+    await auditService.recordSocketAction(socket, {
+      action: 'room.join',
+      resource: room,
+      outcome: decision.allowed ? 'allowed' : 'denied',
+      code: decision.code,
+      reason: decision.reason
+    });
+
+    if (!decision.allowed) {
+      console.warn(`Denied ${socket.userId} (${socket.role}) joining ${room}: ${decision.reason}`);
+    }
+
+    return { ...decision, room };
+  }
+}
+
+module.exports = new RoomAuthorizationService();
@@ -0,0 +1,145 @@
+const TokenBucket = require('../utils/tokenBucket');
+const auditService = require('./auditService');
+const { ackError } = require('../utils/socketAck');
+const { socketRateLimit } = require('../config/config');
+
+// Most recent disconnected offenders kept for monitoring
+const MAX_RECENT_OFFENDERS = 50;
+
+class SocketRateLimiter {
+  constructor() {
+    this.sockets = new Map(); // socket.id -> { buckets: Map(event -> bucket), queued: Map(event -> count), violations: [timestamps] }
+    this.users = new Map(); // userId#event -> bucket, shared by all of a user's sockets
+    this.recentOffenders = [];
+    this.stats = { allowed: 0, queued: 0, dropped: 0, disconnected: 0 };
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  getLimits(event) {
+    return { ...socketRateLimit.default, ...socketRateLimit.events[event] };
+  }
+
+  getSocketState(socket) {
+    if (!this.sockets.has(socket.id)) {
+      this.sockets.set(socket.id, { buckets: new Map(), queued: new Map(), violations: [] });
+    }
+    return this.sockets.get(socket.id);
+  }
+
+  getBuckets(socket, event) {
+    const limits = this.getLimits(event);
+    const state = this.getSocketState(socket);
+
+    if (!state.buckets.has(event)) {
+      state.buckets.set(event, new TokenBucket(limits.capacity, limits.refillPerSecond));
+    }
+
+    const userKey = `${socket.userId}#${event}`;
+    if (!this.users.has(userKey)) {
+      this.users.set(userKey, new TokenBucket(limits.userCapacity, limits.userRefillPerSecond));
+    }
+
+    return { limits, state, socketBucket: state.buckets.get(event), userBucket: this.users.get(userKey) };
+  }
+
+  // Apply the limits to every incoming event on a socket
+  attach(socket) {
+    socket.use((packet, next) => this.check(socket, packet, next));
+    socket.on('disconnect', () => this.sockets.delete(socket.id));
+  }
+
+  // Socket.IO packet middleware: pass the event on now, later (queued) or not at all (dropped)
+  check(socket, [event, ...args], next) {
+    const { limits, state, socketBucket, userBucket } = this.getBuckets(socket, event);
+
+    if (socketBucket.canReserve(0) && userBucket.canReserve(0)) {
+      socketBucket.reserve();
+      userBucket.reserve();
+      this.stats.allowed += 1;
+      return next();
+    }
+
+    const queued = state.queued.get(event) || 0;
+    if (limits.mode === 'queue' && queued < socketRateLimit.maxQueued &&
+      socketBucket.canReserve(socketRateLimit.maxQueued) && userBucket.canReserve(socketRateLimit.maxQueued)) {
+      const delay = Math.max(socketBucket.reserve(), userBucket.reserve());
+      state.queued.set(event, queued + 1);
+      this.stats.queued += 1;
+
+      socket.emit('rate-limit-warning', { event, action: 'queued', retryAfterMs: delay });
+      setTimeout(() => {
+        state.queued.set(event, (state.queued.get(event) || 1) - 1);
+        if (socket.connected) next();
+      }, delay);
+      return this.recordViolation(socket, event, state);
+    }
+
+    this.stats.dropped += 1;
+    const retryAfterMs = Math.ceil(1000 / Math.min(limits.refillPerSecond, limits.userRefillPerSecond));
+    const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    ackError(callback, 'RATE_LIMITED', `Too many ${event} events`, { retryAfterMs });
+    socket.emit('rate-limit-warning', { event, action: 'dropped', retryAfterMs });
+    return this.recordViolation(socket, event, state);
+  }
+
+  // Count over-limit events and disconnect sockets that keep flooding
+  recordViolation(socket, event, state) {
+    const now = Date.now();
+    const cutoff = now - socketRateLimit.violationWindowMs;
+    state.violations = state.violations.filter(timestamp => timestamp > cutoff);
+    state.violations.push(now);
+
+    if (state.violations.length < socketRateLimit.disconnectAfterViolations || !socket.connected) {
+      return;
+    }
+
+    const offender = {
+      socketId: socket.id,
+      userId: socket.userId,
+      role: socket.role,
+      namespace: socket.nsp.name,
+      event,
+      violations: state.violations.length,
+      ipAddress: socket.handshake.address,
+      disconnectedAt: new Date()
+    };
+    this.recentOffenders.unshift(offender);
+    this.recentOffenders.length = Math.min(this.recentOffenders.length, MAX_RECENT_OFFENDERS);
+    this.stats.disconnected += 1;
+
+    console.warn(`Disconnecting socket ${socket.id} (user ${socket.userId}): ${offender.violations} rate limit violations, last on ${event}`);
+    auditService.recordSocketAction(socket, {
+      action: 'socket.rate_limited',
+      resource: `${socket.nsp.name}:${event}`,
+      outcome: 'denied',
+      code: 'RATE_LIMITED',
+      reason: 'repeated_rate_limit_violations',
+      metadata: { violations: offender.violations, windowMs: socketRateLimit.violationWindowMs }
+    });
+
+    socket.emit('rate-limit-disconnect', { event, violations: offender.violations });
+    this.sockets.delete(socket.id);
+    // Close the whole connection, not just this namespace
+    socket.disconnect(true);
+  }
+
+  // Full user buckets hold no state worth keeping
+  sweep() {
+    this.users.forEach((bucket, key) => {
+      if (bucket.isFull()) this.users.delete(key);
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      trackedSockets: this.sockets.size,
+      trackedUsers: this.users.size,
+      recentOffenders: this.recentOffenders
+    };
+  }
+}
+
+module.exports = new SocketRateLimiter();
@@ -0,0 +1,183 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const messagePublisher = require('../services/messagePublisher');
+const { getReconnectDelay } = require('../services/messageService');
+const { socketAdapter } = require('../config/config');
+
+const MESSAGE_KEY = 'message';
+
+// Requests such as fetchSockets() are answered to the requesting adapter only
+function getResponseKey(uid) {
+  return `response.${uid}`;
+}
+
+// Buffers (binary event payloads) survive JSON as { type: 'Buffer', data: [...] }
+function decode(content) {
+  return JSON.parse(content.toString(), (key, value) =>
+    value && value.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : value
+  );
+}
+
+// Carries cluster messages for every namespace adapter of this process over one
+// exclusive RabbitMQ queue, bound to the adapter exchange
+class BrokerAdapterTransport {
+  constructor() {
+    this.adapters = new Map(); // namespace name -> adapter
+    this.channel = null;
+    this.queue = null;
+    this.connecting = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  async getChannel() {
+    if (this.channel) {
+      return this.channel;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  async connect() {
+    const channel = await messagePublisher.openChannel();
+
+    channel.on('error', (error) => {
+      console.error('Socket.IO adapter channel error:', error.message);
+    });
+
+    channel.on('close', () => {
+      this.channel = null;
+      this.scheduleReconnect();
+    });
+
+    await channel.assertExchange(socketAdapter.exchange, 'topic', { durable: true });
+    const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await channel.bindQueue(queue, socketAdapter.exchange, MESSAGE_KEY);
+    for (const adapter of this.adapters.values()) {
+      await channel.bindQueue(queue, socketAdapter.exchange, getResponseKey(adapter.uid));
+    }
+
+    await channel.consume(queue, (msg) => msg && this.dispatch(msg), { noAck: true });
+
+    this.channel = channel;
+    this.queue = queue;
+    this.reconnectAttempts = 0;
+    return channel;
+  }
+
+  // Messages sent while disconnected are lost; the heartbeat re-discovers the other instances
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.adapters.size === 0) {
+      return;
+    }
+
+    const delay = getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts += 1;
+    console.warn(`Socket.IO adapter reconnecting in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.getChannel().catch((error) => {
+        console.error('Socket.IO adapter reconnect failed:', error.message);
+        this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  dispatch(msg) {
+    try {
+      const message = decode(msg.content);
+      const adapter = this.adapters.get(message.nsp);
+      if (!adapter) {
+        return;
+      }
+
+      if (msg.fields.routingKey === MESSAGE_KEY) {
+        adapter.onMessage(message);
+      } else {
+        adapter.onResponse(message);
+      }
+    } catch (error) {
+      console.error('Error handling Socket.IO adapter message:', error.message);
+    }
+  }
+
+  // A reconnect binds every registered adapter again
+  async register(adapter) {
+    this.adapters.set(adapter.nsp.name, adapter);
+    const wasConnected = Boolean(this.channel);
+    const channel = await this.getChannel();
+    if (wasConnected) {
+      await channel.bindQueue(this.queue, socketAdapter.exchange, getResponseKey(adapter.uid));
+    }
+  }
+
+  unregister(adapter) {
+    this.adapters.delete(adapter.nsp.name);
+    if (this.channel) {
+      this.channel.unbindQueue(this.queue, socketAdapter.exchange, getResponseKey(adapter.uid)).catch(() => {});
+    }
+  }
+
+  async publish(routingKey, message) {
+    await this.getChannel();
+    await messagePublisher.publishToExchange(socketAdapter.exchange, routingKey, JSON.stringify(message), {
+      persistent: false,
+      contentType: 'application/json'
+    });
+  }
+}
+
+// Socket.IO adapter that shares rooms and broadcasts between instances through RabbitMQ
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, transport) {
+    super(nsp, {
+      heartbeatInterval: socketAdapter.heartbeatInterval,
+      heartbeatTimeout: socketAdapter.heartbeatTimeout
+    });
+    this.transport = transport;
+  }
+
+  async init() {
+    try {
+      await this.transport.register(this);
+    } catch (error) {
+      console.error(`Socket.IO adapter for ${this.nsp.name} could not connect:`, error.message);
+      this.transport.scheduleReconnect();
+    }
+    super.init();
+  }
+
+  close() {
+    super.close();
+    this.transport.unregister(this);
+  }
+
+  // Offsets are only needed for connection state recovery, which is not enabled
+  async doPublish(message) {
+    await this.transport.publish(MESSAGE_KEY, message);
+    return '';
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.transport.publish(getResponseKey(requesterUid), response);
+  }
+}
+
+// Adapter constructor for io.adapter(); all namespaces share one transport.
+// Socket.IO does not call init() on adapters, so it starts here.
+function createBrokerAdapter() {
+  const transport = new BrokerAdapterTransport();
+  return function (nsp) {
+    const adapter = new BrokerAdapter(nsp, transport);
+    adapter.init();
+    return adapter;
+  };
+}
+
+module.exports = { createBrokerAdapter, BrokerAdapter };
@@ -0,0 +1,465 @@
+const presenceService = require('../services/presenceService');
+const consultationService = require('../services/consultationService');
+const { socketError } = require('../utils/socketAck');
+const {
+  schemas,
+  registerHandlers,
+  createNamespace,
+  authorizeRoom,
+  requireJoined,
+  roomHandlers,
+  onConnection
+} = require('./handlers');
+
+const sessionEvent = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['sessionId', ...required],
+  properties: { sessionId: schemas.sessionId, ...properties }
+});
+
+// Payload of WebRTC offers, answers and ICE candidates. targetSocketId picks one
+// of the target user's connections when they have joined from several devices.
+const signalingEvent = (field) => sessionEvent({
+  [field]: { type: 'object' },
+  targetUserId: { type: 'string', minLength: 1, maxLength: 64 },
+  targetSocketId: { type: 'string', maxLength: 64 }
+}, [field, 'targetUserId']);
+
+// The target's sockets in a consultation room, on any instance
+async function findPeerSockets(socket, room, targetUserId, targetSocketId) {
+  const sockets = await socket.nsp.in(room).fetchSockets();
+  return sockets.filter(peer =>
+    peer.id !== socket.id &&
+    peer.data.userId === targetUserId &&
+    (!targetSocketId || peer.id === targetSocketId)
+  );
+}
+
+// Whether an offer or answer only receives media: every audio and video section is
+// recvonly or inactive. Data channel sections carry no direction.
+function isReceiveOnly(description) {
+  const sdp = typeof description.sdp === 'string' ? description.sdp : '';
+  return sdp.split(/\r?\n(?=m=)/)
+    .filter(section => /^m=(audio|video)/.test(section))
+    .every(section => /^a=(recvonly|inactive)\s*$/m.test(section));
+}
+
+// Muted observers may only receive media; the server enforces what their client is told
+async function requireUnmuted(socket, sessionId, action) {
+  if (socket.data.participantRoles[sessionId] !== 'observer') {
+    return;
+  }
+  if (await consultationService.isObserverMuted(sessionId, socket.userId)) {
+    throw socketError('OBSERVER_MUTED', `Muted observers cannot ${action}`);
+  }
+}
+
+// Relay WebRTC signaling to the target participant only
+const relaySignal = (event, field) => async (socket, data) => {
+  const room = `consultation-${data.sessionId}`;
+  requireJoined(socket, room);
+
+  if ((field === 'offer' || field === 'answer') && !isReceiveOnly(data[field])) {
+    await requireUnmuted(socket, data.sessionId, 'send media; offer and answer with recvonly media sections');
+  }
+
+  const peers = await findPeerSockets(socket, room, data.targetUserId, data.targetSocketId);
+  if (peers.length === 0) {
+    throw socketError('TARGET_NOT_FOUND', `User ${data.targetUserId} is not connected to this consultation`);
+  }
+
+  peers.forEach(peer => peer.emit(event, {
+    sessionId: data.sessionId,
+    [field]: data[field],
+    fromUserId: socket.userId,
+    fromSocketId: socket.id
+  }));
+  return { delivered: peers.length };
+};
+
+// Tell the other participants when this socket starts or stops typing
+function setTyping(socket, sessionId, typing) {
+  socket.typingSessions = socket.typingSessions || new Set();
+  if (socket.typingSessions.has(sessionId) === typing) {
+    return;
+  }
+
+  if (typing) {
+    socket.typingSessions.add(sessionId);
+  } else {
+    socket.typingSessions.delete(sessionId);
+  }
+  socket.to(`consultation-${sessionId}`).emit('typing', {
+    sessionId,
+    userId: socket.userId,
+    typing
+  });
+}
+
+// Leave a session's waiting room. The patient gives up their place in the queue
+// once none of their connections are waiting.
+async function leaveWaitingRoom(socket, sessionId) {
+  const room = `waiting-${sessionId}`;
+  socket.leave(room);
+  (socket.waitingSessions || new Set()).delete(sessionId);
+
+  const sockets = await socket.nsp.in(room).fetchSockets();
+  if (!sockets.some(peer => peer.data.userId === socket.data.userId)) {
+    await consultationService.leaveWaitingRoom(sessionId);
+  }
+}
+
+// Record an observer's leave once none of their connections remain in the consultation
+async function recordObserverLeave(socket, sessionId) {
+  const sockets = await socket.nsp.in(`consultation-${sessionId}`).fetchSockets();
+  if (!sockets.some(peer => peer.data.userId === socket.data.userId)) {
+    await consultationService.recordObserverLeave(sessionId, socket.userId);
+  }
+}
+
+const receiptEvent = sessionEvent({
+  messageIds: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 100,
+    items: { type: 'string', minLength: 1, maxLength: 64 }
+  }
+}, ['messageIds']);
+
+// Store receipts and tell the participants, including the senders, which messages changed
+const recordReceipts = (status) => async (socket, { sessionId, messageIds }) => {
+  const room = `consultation-${sessionId}`;
+  requireJoined(socket, room);
+
+  const updated = await consultationService.recordChatReceipts(sessionId, socket.userId, messageIds, status);
+  if (updated.length > 0) {
+    socket.to(room).emit('chat-receipt', {
+      sessionId,
+      messageIds: updated,
+      userId: socket.userId,
+      status,
+      at: new Date()
+    });
+  }
+  return { updated };
+};
+
+const handlers = {
+  ...roomHandlers,
+
+  // Join consultation room. Until the provider admits them, the patient joins the
+  // session's waiting room instead and is sent waiting-room-status as the queue moves.
+  'join-consultation': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      const { room, participantRole, status, reason } = await authorizeRoom(socket, 'consultation', sessionId);
+      socket.data.participantRoles = { ...socket.data.participantRoles, [sessionId]: participantRole };
+
+      if (participantRole === 'patient' && status === 'waiting') {
+        const waitingRoom = await consultationService.enterWaitingRoom(sessionId);
+        if (waitingRoom) {
+          socket.join(`waiting-${sessionId}`);
+          socket.waitingSessions = socket.waitingSessions || new Set();
+          socket.waitingSessions.add(sessionId);
+
+          console.log(`User ${socket.userId} is waiting for consultation ${sessionId}`);
+          return {
+            room: `waiting-${sessionId}`,
+            role: participantRole,
+            waiting: true,
+            position: waitingRoom.position,
+            estimatedWaitMinutes: waitingRoom.estimatedWaitMinutes
+          };
+        }
+      }
+
+      // Observers, staff roles included, need the patient's consent and join muted
+      let joined = null;
+      if (participantRole === 'observer') {
+        if (reason !== 'consented_observer') {
+          await consultationService.auditObserverAction(
+            'consultation.observer_join',
+            sessionId,
+            { userId: socket.userId, role: socket.role },
+            socket.userId,
+            'denied',
+            'no_patient_consent'
+          );
+          throw socketError('OBSERVER_NOT_ADMITTED', 'The patient has not consented to this observer');
+        }
+        joined = await consultationService.joinConsultationSession(sessionId, socket.userId, 'observer');
+      }
+
+      if (socket.rooms.has(`waiting-${sessionId}`)) {
+        socket.leave(`waiting-${sessionId}`);
+        socket.waitingSessions.delete(sessionId);
+      }
+      socket.join(room);
+      socket.sessionId = sessionId;
+
+      // The user shows as busy while in the consultation
+      presenceService.setSession(socket, sessionId).catch(error => console.error(error.message));
+
+      // Notify other participants
+      socket.to(room).emit('participant-joined', {
+        userId: socket.userId,
+        role: participantRole,
+        socketId: socket.id,
+        muted: participantRole === 'observer'
+      });
+
+      // Joining stopped a recording: the room was asked for consent before this socket joined it
+      if (joined && joined.recordingConsentRequest) {
+        const { requestId, requestedBy, requestedAt, parties } = joined.recordingConsentRequest;
+        socket.emit('recording-consent-request', {
+          sessionId,
+          requestId,
+          requestedBy,
+          requestedAt,
+          requiredParties: parties.map(({ userId, role }) => ({ userId, role }))
+        });
+      }
+
+      // Peers already in the session, so a multi-party client can signal each of them
+      const sockets = await socket.nsp.in(room).fetchSockets();
+      const participants = sockets
+        .filter(peer => peer.id !== socket.id)
+        .map(peer => ({ userId: peer.data.userId, socketId: peer.id, role: peer.data.participantRoles[sessionId] }));
+
+      console.log(`User ${socket.userId} joined consultation ${sessionId} as ${participantRole}`);
+      return { room, role: participantRole, waiting: false, muted: participantRole === 'observer', participants };
+    }
+  },
+
+  // Leave consultation room, or the waiting room before admission
+  'leave-consultation': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      if (socket.rooms.has(`waiting-${sessionId}`)) {
+        await leaveWaitingRoom(socket, sessionId);
+        console.log(`User ${socket.userId} left the waiting room of consultation ${sessionId}`);
+        return {};
+      }
+
+      const room = `consultation-${sessionId}`;
+      requireJoined(socket, room);
+      setTyping(socket, sessionId, false);
+      socket.leave(room);
+      if (socket.data.participantRoles[sessionId] === 'observer') {
+        await recordObserverLeave(socket, sessionId);
+      }
+      if (socket.sessionId === sessionId) {
+        socket.sessionId = null;
+        presenceService.setSession(socket, null).catch(error => console.error(error.message));
+      }
+
+      // Notify other participants
+      socket.to(room).emit('participant-left', {
+        userId: socket.userId,
+        socketId: socket.id
+      });
+
+      console.log(`User ${socket.userId} left consultation ${sessionId}`);
+      return {};
+    }
+  },
+
+  // Provider: patients waiting for any of the provider's sessions
+  'get-waiting-room': {
+    schema: { type: 'object', properties: {} },
+    handler: async (socket) => {
+      const waiting = await consultationService.getWaitingRoom(socket.userId);
+      return { waiting };
+    }
+  },
+
+  // Provider: admit the waiting patient, which starts the session. The patient's
+  // waiting sockets are sent waiting-room-admitted and then send join-consultation.
+  'admit-patient': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      const consultation = await consultationService.admitPatient(sessionId, socket.userId);
+      console.log(`User ${socket.userId} admitted the patient to consultation ${sessionId}`);
+      return { sessionId, status: consultation.status, startTime: consultation.startTime };
+    }
+  },
+
+  // Provider: mute or unmute an observer. Participants are sent observer-muted.
+  'set-observer-muted': {
+    schema: sessionEvent({
+      userId: { type: 'string', minLength: 1, maxLength: 64 },
+      muted: { type: 'boolean' }
+    }, ['userId', 'muted']),
+    handler: async (socket, { sessionId, userId, muted }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+      await consultationService.setObserverMuted(sessionId, { userId: socket.userId, role: socket.role }, userId, muted);
+      return { userId, muted };
+    }
+  },
+
+  // Provider: ask every party for consent to record. Participants receive
+  // recording-consent-request and answer with recording-consent.
+  'request-recording-consent': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+      return consultationService.requestRecordingConsent(sessionId, socket.userId);
+    }
+  },
+
+  // Accept or decline recording; declining after accepting withdraws consent and
+  // stops a recording in progress
+  'recording-consent': {
+    schema: sessionEvent({
+      requestId: { type: 'string', minLength: 1, maxLength: 64 },
+      accepted: { type: 'boolean' }
+    }, ['requestId', 'accepted']),
+    handler: async (socket, { sessionId, requestId, accepted }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+      return consultationService.respondToRecordingConsent(sessionId, socket.userId, requestId, accepted);
+    }
+  },
+
+  // Handle WebRTC signaling for video calls
+  'webrtc-offer': {
+    schema: signalingEvent('offer'),
+    handler: relaySignal('webrtc-offer', 'offer')
+  },
+
+  'webrtc-answer': {
+    schema: signalingEvent('answer'),
+    handler: relaySignal('webrtc-answer', 'answer')
+  },
+
+  'webrtc-ice-candidate': {
+    schema: signalingEvent('candidate'),
+    handler: relaySignal('webrtc-ice-candidate', 'candidate')
+  },
+
+  // Handle chat messages: stored and broadcast by the same pipeline as REST messages,
+  // with a server-assigned messageId that receipts refer to
+  'consultation-chat': {
+    schema: sessionEvent({
+      message: { type: 'string', minLength: 1, maxLength: 5000 },
+      messageType: { type: 'string', enum: ['text', 'file', 'image', 'system'] }
+    }, ['message']),
+    handler: async (socket, { sessionId, message, messageType }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+
+      const chatMessage = await consultationService.sendChatMessage(
+        sessionId,
+        { userId: socket.userId, role: socket.role },
+        { message, messageType }
+      );
+      setTyping(socket, sessionId, false);
+
+      return { messageId: chatMessage.messageId, timestamp: chatMessage.timestamp };
+    }
+  },
+
+  'typing-start': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+      setTyping(socket, sessionId, true);
+      return {};
+    }
+  },
+
+  'typing-stop': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      requireJoined(socket, `consultation-${sessionId}`);
+      setTyping(socket, sessionId, false);
+      return {};
+    }
+  },
+
+  // Receipts for messages this participant has received or read
+  'chat-delivered': {
+    schema: receiptEvent,
+    handler: recordReceipts('delivered')
+  },
+
+  'chat-read': {
+    schema: receiptEvent,
+    handler: recordReceipts('read')
+  },
+
+  // Handle screen sharing
+  'start-screen-share': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      const room = `consultation-${sessionId}`;
+      requireJoined(socket, room);
+      await requireUnmuted(socket, sessionId, 'share their screen');
+      socket.to(room).emit('screen-share-started', {
+        userId: socket.userId,
+        role: socket.role
+      });
+      return {};
+    }
+  },
+
+  'stop-screen-share': {
+    schema: sessionEvent(),
+    handler: async (socket, { sessionId }) => {
+      const room = `consultation-${sessionId}`;
+      requireJoined(socket, room);
+      socket.to(room).emit('screen-share-stopped', {
+        userId: socket.userId
+      });
+      return {};
+    }
+  },
+
+  // Handle connection quality updates
+  'connection-quality': {
+    schema: sessionEvent({
+      quality: { type: 'string', enum: ['excellent', 'good', 'fair', 'poor'] }
+    }, ['quality']),
+    handler: async (socket, { sessionId, quality }) => {
+      const room = `consultation-${sessionId}`;
+      requireJoined(socket, room);
+      socket.to(room).emit('participant-quality-update', {
+        userId: socket.userId,
+        quality
+      });
+      return {};
+    }
+  }
+};
+
+// /consultation: video sessions, WebRTC signaling and in-session chat
+function setupConsultationNamespace(io) {
+  const nsp = createNamespace(io, '/consultation');
+
+  nsp.on('connection', (socket) => {
+    onConnection(socket);
+    registerHandlers(socket, handlers);
+
+    socket.on('disconnect', () => {
+      (socket.typingSessions || new Set()).forEach(sessionId => setTyping(socket, sessionId, false));
+      [...(socket.waitingSessions || [])].forEach(sessionId => {
+        leaveWaitingRoom(socket, sessionId).catch(error => console.error(error.message));
+      });
+
+      // If user was in a consultation, notify other participants
+      if (socket.sessionId) {
+        socket.to(`consultation-${socket.sessionId}`).emit('participant-disconnected', {
+          userId: socket.userId,
+          socketId: socket.id
+        });
+        presenceService.setSession(socket, null).catch(error => console.error(error.message));
+
+        if (socket.data.participantRoles[socket.sessionId] === 'observer') {
+          recordObserverLeave(socket, socket.sessionId).catch(error => console.error(error.message));
+        }
+      }
+    });
+  });
+
+  return nsp;
+}
+
+module.exports = setupConsultationNamespace;
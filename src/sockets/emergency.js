@@ -0,0 +1,184 @@
+const emergencyResponseService = require('../services/emergencyResponseService');
+const {
+  schemas,
+  registerHandlers,
+  createNamespace,
+  requirePatientAccess,
+  roomHandlers,
+  onConnection
+} = require('./handlers');
+
+const ALERT_TYPES = [
+  'manual', 'vital_signs', 'fall_detection', 'medication_missed',
+  'panic_button', 'device_malfunction', 'no_response', 'geofence_breach'
+];
+
+// Priority used when the client only gives a severity
+const PRIORITY_BY_SEVERITY = {
+  low: 'routine',
+  medium: 'urgent',
+  high: 'emergent',
+  critical: 'immediate'
+};
+
+const handlers = {
+  ...roomHandlers,
+
+  // Handle emergency alerts: stored, assigned and escalated like alerts raised over
+  // REST. The service broadcasts emergency-alert to the namespace.
+  'emergency-alert': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'description'],
+      properties: {
+        patientId: schemas.objectId,
+        alertType: { type: 'string', enum: ALERT_TYPES },
+        location: schemas.location,
+        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+        priority: { type: 'string', enum: ['routine', 'urgent', 'emergent', 'immediate'] },
+        description: { type: 'string', minLength: 1, maxLength: 1000 },
+        symptoms: {
+          type: 'array',
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['symptom'],
+            properties: {
+              symptom: { type: 'string', minLength: 1, maxLength: 200 },
+              severity: { type: 'string', enum: ['mild', 'moderate', 'severe'] },
+              duration: { type: 'string', maxLength: 100 },
+              onset: { type: 'string', format: 'date-time' }
+            }
+          }
+        },
+        patientCondition: { type: 'object' }
+      }
+    },
+    handler: async (socket, data) => {
+      await requirePatientAccess(socket, data.patientId);
+
+      const severity = data.severity || 'high';
+      const result = await emergencyResponseService.createEmergencyAlert({
+        patientId: data.patientId,
+        triggeredBy: socket.userId,
+        alertType: data.alertType || 'manual',
+        severity,
+        priority: data.priority || PRIORITY_BY_SEVERITY[severity],
+        description: data.description,
+        location: data.location,
+        symptoms: data.symptoms,
+        patientCondition: data.patientCondition
+      });
+
+      console.log(`Emergency alert ${result.data.alertId} from patient ${data.patientId}: ${data.description}`);
+      return {
+        alertId: result.data.alertId,
+        status: result.data.status,
+        severity: result.data.severity,
+        priority: result.data.priority,
+        assignedTo: result.data.response.assignedTo || null
+      };
+    }
+  },
+
+  // Handle fall detection
+  'fall-detected': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'deviceId', 'confidence'],
+      properties: {
+        patientId: schemas.objectId,
+        deviceId: { type: 'string', maxLength: 100 },
+        location: schemas.location,
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        impactForce: { type: 'number', minimum: 0 }
+      }
+    },
+    handler: async (socket, { patientId, deviceId, location, confidence, impactForce }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Create emergency alert through service
+      const alertData = {
+        patientId,
+        triggeredBy: socket.userId,
+        alertType: 'fall_detection',
+        severity: confidence > 0.8 ? 'critical' : 'high',
+        priority: confidence > 0.8 ? 'immediate' : 'urgent',
+        description: `Fall detected by device ${deviceId}. Confidence: ${(confidence * 100).toFixed(1)}%${impactForce ? `, Impact: ${impactForce}G` : ''}`,
+        location
+      };
+
+      const result = await emergencyResponseService.createEmergencyAlert(alertData);
+
+      // Broadcast fall detection alert
+      socket.broadcast.emit('fall-detection-alert', {
+        alertId: result.data.alertId,
+        patientId,
+        deviceId,
+        confidence,
+        impactForce,
+        location,
+        severity: alertData.severity,
+        timestamp: new Date()
+      });
+
+      return { alertId: result.data.alertId, severity: alertData.severity };
+    }
+  },
+
+  // Handle geofence alerts
+  'geofence-breach': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'deviceId', 'geofenceType'],
+      properties: {
+        patientId: schemas.objectId,
+        deviceId: { type: 'string', maxLength: 100 },
+        location: schemas.location,
+        geofenceType: { type: 'string', minLength: 1, maxLength: 100 }
+      }
+    },
+    handler: async (socket, { patientId, deviceId, location, geofenceType }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Create emergency alert for geofence breach
+      const alertData = {
+        patientId,
+        triggeredBy: socket.userId,
+        alertType: 'geofence_breach',
+        severity: 'medium',
+        priority: 'urgent',
+        description: `Patient left designated safe area (${geofenceType})`,
+        location
+      };
+
+      const result = await emergencyResponseService.createEmergencyAlert(alertData);
+
+      // Broadcast geofence alert
+      socket.broadcast.emit('geofence-alert', {
+        alertId: result.data.alertId,
+        patientId,
+        deviceId,
+        location,
+        geofenceType,
+        timestamp: new Date()
+      });
+
+      return { alertId: result.data.alertId };
+    }
+  }
+};
+
+// /emergency: emergency alerts, fall detection and geofence breaches
+function setupEmergencyNamespace(io) {
+  const nsp = createNamespace(io, '/emergency');
+
+  nsp.on('connection', (socket) => {
+    onConnection(socket);
+    registerHandlers(socket, handlers);
+  });
+
+  return nsp;
+}
+
+module.exports = setupEmergencyNamespace;
@@ -0,0 +1,151 @@
+const authenticateSocket = require('../middleware/socketAuth');
+const roomAuthorizationService = require('../services/roomAuthorizationService');
+const eventLogService = require('../services/eventLogService');
+const socketRateLimiter = require('../services/socketRateLimiter');
+const { validateSchema } = require('../utils/schemaValidator');
+const { ackSuccess, ackError, socketError } = require('../utils/socketAck');
+
+// Schema fragments shared by the namespace event schemas
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+const sessionId = { type: 'string', minLength: 1, maxLength: 128 };
+const location = {
+  type: 'object',
+  properties: {
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    address: { type: 'string', maxLength: 500 },
+    accuracy: { type: 'number', minimum: 0 },
+    source: { type: 'string', enum: ['gps', 'network', 'manual', 'device'] }
+  }
+};
+
+// Register event handlers on a socket. Each definition is { schema, handler(socket, data) };
+// payloads are validated first and the handler's result or error is acknowledged.
+function registerHandlers(socket, handlers) {
+  Object.entries(handlers).forEach(([event, { schema, handler }]) => {
+    socket.on(event, async (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const data = args[0] === undefined ? {} : args[0];
+
+      const errors = validateSchema(data, schema);
+      if (errors.length > 0) {
+        return ackError(callback, 'VALIDATION_ERROR', `Invalid ${event} payload`, errors);
+      }
+
+      try {
+        const result = await handler(socket, data);
+        ackSuccess(callback, result);
+      } catch (error) {
+        if (error.expose) {
+          return ackError(callback, error.code, error.message);
+        }
+        console.error(`Error handling ${socket.nsp.name} ${event}:`, error.message);
+        ackError(callback, 'INTERNAL_ERROR', error.message);
+      }
+    });
+  });
+}
+
+// Authenticate every connection to a namespace; Socket.IO does not apply the
+// main namespace's middleware to other namespaces
+function createNamespace(io, name) {
+  const nsp = io.of(name);
+  nsp.use(authenticateSocket);
+  return nsp;
+}
+
+// Authorize a join and audit it; refusals are thrown as socket errors
+async function authorizeRoom(socket, roomType, id) {
+  const decision = await roomAuthorizationService.authorizeJoin(socket, roomType, id);
+  if (!decision.allowed) {
+    throw socketError(decision.code, decision.reason);
+  }
+  return decision;
+}
+
+// Authorize a join, audit it and add the socket to the room
+async function joinRoom(socket, roomType, id) {
+  const decision = await authorizeRoom(socket, roomType, id);
+  socket.join(decision.room);
+  return decision;
+}
+
+// Sockets may only act on a patient's data if they could join the patient's room
+async function requirePatientAccess(socket, patientId) {
+  if (socket.rooms.has(`patient-${patientId}`)) {
+    return;
+  }
+
+  const decision = await roomAuthorizationService.authorizePatientRoom(socket.user, patientId);
+  if (!decision.allowed) {
+    throw socketError(decision.code, decision.reason);
+  }
+}
+
+// Sockets may only send to rooms they have joined
+function requireJoined(socket, room) {
+  if (!socket.rooms.has(room)) {
+    throw socketError('NOT_JOINED', `Join ${room} first`);
+  }
+}
+
+// Handlers available in every namespace: patient/provider room joins and event replay
+const roomHandlers = {
+  'join-patient-room': {
+    schema: {
+      type: 'object',
+      required: ['patientId'],
+      properties: { patientId: objectId }
+    },
+    handler: async (socket, { patientId }) => {
+      const { room } = await joinRoom(socket, 'patient', patientId);
+      return { room };
+    }
+  },
+
+  'join-provider-room': {
+    schema: {
+      type: 'object',
+      required: ['providerId'],
+      properties: { providerId: objectId }
+    },
+    handler: async (socket, { providerId }) => {
+      const { room } = await joinRoom(socket, 'provider', providerId);
+      return { room };
+    }
+  },
+
+  // Replay events missed while disconnected. Clients send the epoch they last saw
+  // and the last sequence number per room, after rejoining their rooms.
+  'replay-events': {
+    schema: {
+      type: 'object',
+      properties: {
+        epoch: { type: 'string', maxLength: 64 },
+        rooms: { type: 'object' }
+      }
+    },
+    handler: async (socket, data) => eventLogService.replay(socket, data)
+  }
+};
+
+// Common per-connection setup for every namespace
+function onConnection(socket) {
+  // Per-socket and per-user limits on incoming events
+  socketRateLimiter.attach(socket);
+
+  // Event log epoch, needed to replay missed events after a reconnect
+  socket.emit('event-log-info', { epoch: eventLogService.epoch });
+}
+
+module.exports = {
+  schemas: { objectId, sessionId, location },
+  registerHandlers,
+  createNamespace,
+  authorizeRoom,
+  joinRoom,
+  requirePatientAccess,
+  requireJoined,
+  roomHandlers,
+  onConnection
+};
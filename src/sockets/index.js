@@ -0,0 +1,39 @@
+const authenticateSocket = require('../middleware/socketAuth');
+const setupConsultationNamespace = require('./consultation');
+const setupMonitoringNamespace = require('./monitoring');
+const setupEmergencyNamespace = require('./emergency');
+const { registerHandlers, roomHandlers, onConnection } = require('./handlers');
+const presenceHandlers = require('./presence');
+const presenceService = require('../services/presenceService');
+
+// Set up the default namespace and the per-domain namespaces. The default namespace
+// carries messaging, inbox and appointment events for user, patient and provider rooms.
+function setupSockets(io) {
+  // Socket.IO connections must carry the same JWT as the REST API
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log(`New client connected: ${socket.id} (user ${socket.userId}, ${socket.role})`);
+
+    // Personal room used for messages addressed to this user
+    socket.join(`user-${socket.userId}`);
+
+    onConnection(socket);
+    registerHandlers(socket, roomHandlers);
+    registerHandlers(socket, presenceHandlers);
+
+    // Presence follows the default namespace connection, which every client opens
+    presenceService.connect(socket).catch(error => console.error(error.message));
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+      presenceService.disconnect(socket).catch(error => console.error(error.message));
+    });
+  });
+
+  setupConsultationNamespace(io);
+  setupMonitoringNamespace(io);
+  setupEmergencyNamespace(io);
+}
+
+module.exports = setupSockets;
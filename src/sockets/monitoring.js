@@ -0,0 +1,170 @@
+const patientMonitoringService = require('../services/patientMonitoringService');
+const eventLogService = require('../services/eventLogService');
+const {
+  schemas,
+  registerHandlers,
+  createNamespace,
+  requirePatientAccess,
+  roomHandlers,
+  onConnection
+} = require('./handlers');
+
+const handlers = {
+  ...roomHandlers,
+
+  // Handle vital signs monitoring
+  'vital-signs-update': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'measurements'],
+      properties: {
+        patientId: schemas.objectId,
+        deviceId: { type: 'string', maxLength: 100 },
+        measurements: { type: 'object' },
+        location: schemas.location
+      }
+    },
+    handler: async (socket, { patientId, deviceId, measurements, location }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Process vital signs through monitoring service, which sends vital-signs-update
+      // to the patient's healthcare team
+      const result = await patientMonitoringService.recordVitalSigns({
+        patientId,
+        deviceId,
+        deviceType: 'manual',
+        measurements,
+        location
+      });
+
+      // If emergency, broadcast to all providers
+      if (result.emergency) {
+        eventLogService.broadcast(socket.server.of('/emergency'), 'emergency-vital-alert', {
+          patientId,
+          alertType: 'critical_vitals',
+          alerts: result.alerts,
+          severity: 'critical',
+          timestamp: new Date()
+        });
+      }
+
+      return {
+        recordId: result.data.recordId,
+        alerts: result.alerts,
+        emergency: result.emergency
+      };
+    }
+  },
+
+  // Handle device status updates
+  'device-status-update': {
+    schema: {
+      type: 'object',
+      required: ['deviceId', 'patientId', 'status'],
+      properties: {
+        deviceId: { type: 'string', maxLength: 100 },
+        patientId: schemas.objectId,
+        status: { type: 'string', enum: ['active', 'inactive', 'maintenance', 'error', 'lost'] },
+        batteryLevel: { type: 'number', minimum: 0, maximum: 100 },
+        signalStrength: { type: 'number' }
+      }
+    },
+    handler: async (socket, { deviceId, patientId, status, batteryLevel, signalStrength }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Broadcast device status to monitoring team
+      socket.to(`patient-${patientId}`).emit('device-status-update', {
+        deviceId,
+        patientId,
+        status,
+        batteryLevel,
+        signalStrength,
+        timestamp: new Date()
+      });
+
+      // Alert if device has issues
+      const alerted = status === 'error' || status === 'lost' || (batteryLevel !== undefined && batteryLevel < 20);
+      if (alerted) {
+        socket.to(`patient-${patientId}`).emit('device-alert', {
+          deviceId,
+          patientId,
+          alertType: status === 'error' || status === 'lost' ? 'device_malfunction' : 'low_battery',
+          severity: status === 'lost' ? 'high' : 'medium',
+          message: status === 'lost' ? 'Device connection lost' :
+                  status === 'error' ? 'Device malfunction detected' :
+                  `Low battery: ${batteryLevel}%`,
+          timestamp: new Date()
+        });
+      }
+
+      return { alerted };
+    }
+  },
+
+  // Handle medication reminders
+  'medication-reminder': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'medicationName'],
+      properties: {
+        patientId: schemas.objectId,
+        medicationName: { type: 'string', minLength: 1, maxLength: 200 },
+        dosage: { type: 'string', maxLength: 100 },
+        scheduledTime: { type: 'string', format: 'date-time' }
+      }
+    },
+    handler: async (socket, { patientId, medicationName, dosage, scheduledTime }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Send reminder to patient
+      eventLogService.emit(socket, `patient-${patientId}`, 'medication-reminder', {
+        medicationName,
+        dosage,
+        scheduledTime,
+        timestamp: new Date()
+      });
+      return {};
+    }
+  },
+
+  // Handle medication taken confirmation
+  'medication-taken': {
+    schema: {
+      type: 'object',
+      required: ['patientId', 'medicationName'],
+      properties: {
+        patientId: schemas.objectId,
+        medicationName: { type: 'string', minLength: 1, maxLength: 200 },
+        takenAt: { type: 'string', format: 'date-time' },
+        notes: { type: 'string', maxLength: 1000 }
+      }
+    },
+    handler: async (socket, { patientId, medicationName, takenAt, notes }) => {
+      await requirePatientAccess(socket, patientId);
+
+      // Broadcast to healthcare team
+      socket.to(`patient-${patientId}`).emit('medication-taken', {
+        patientId,
+        medicationName,
+        takenAt,
+        notes,
+        timestamp: new Date()
+      });
+      return {};
+    }
+  }
+};
+
+// /monitoring: vital signs, devices and medication events for patient and provider rooms
+function setupMonitoringNamespace(io) {
+  const nsp = createNamespace(io, '/monitoring');
+
+  nsp.on('connection', (socket) => {
+    onConnection(socket);
+    registerHandlers(socket, handlers);
+  });
+
+  return nsp;
+}
+
+module.exports = setupMonitoringNamespace;
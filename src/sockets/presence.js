@@ -0,0 +1,50 @@
+const presenceService = require('../services/presenceService');
+const { schemas } = require('./handlers');
+
+const userIdList = {
+  type: 'object',
+  required: ['userIds'],
+  properties: {
+    userIds: { type: 'array', minItems: 1, maxItems: 100, items: schemas.objectId }
+  }
+};
+
+// Presence events of the default namespace
+const presenceHandlers = {
+  // Clients report whether the user is active or idle; the server keeps the connection alive
+  'presence-heartbeat': {
+    schema: {
+      type: 'object',
+      properties: {
+        state: { type: 'string', enum: ['active', 'away'] }
+      }
+    },
+    handler: async (socket, { state }) => presenceService.heartbeat(socket, state)
+  },
+
+  // Receive presence-update for the given users. Users the socket may not see are
+  // listed in `denied`.
+  'subscribe-presence': {
+    schema: userIdList,
+    handler: async (socket, { userIds }) => {
+      const presence = await presenceService.getPresence(socket.user, { userIds });
+      const allowed = new Set(presence.map(entry => entry.userId));
+
+      allowed.forEach(userId => socket.join(`presence-${userId}`));
+      return {
+        presence,
+        denied: userIds.filter(userId => !allowed.has(userId))
+      };
+    }
+  },
+
+  'unsubscribe-presence': {
+    schema: userIdList,
+    handler: async (socket, { userIds }) => {
+      userIds.forEach(userId => socket.leave(`presence-${userId}`));
+      return {};
+    }
+  }
+};
+
+module.exports = presenceHandlers;
@@ -0,0 +1,20 @@
+// Quote a field when it holds a delimiter, a quote or a line break
+function escapeField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text with a header row; columns are the row properties to write, in order
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
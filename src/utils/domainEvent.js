@@ -0,0 +1,31 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Wrap domain data in the event format published on the topic exchange
+function createDomainEvent(routingKey, data) {
+  return {
+    eventId: uuidv4(),
+    routingKey,
+    occurredAt: new Date().toISOString(),
+    data
+  };
+}
+
+// Parse an event read from the broker; malformed events cannot be retried
+function parseDomainEvent(content) {
+  let event;
+  try {
+    event = JSON.parse(content);
+  } catch (error) {
+    event = null;
+  }
+
+  if (!event || typeof event.routingKey !== 'string' || typeof event.data !== 'object' || event.data === null) {
+    const error = new Error('Malformed domain event');
+    error.retryable = false;
+    throw error;
+  }
+
+  return event;
+}
+
+module.exports = { createDomainEvent, parseDomainEvent };
@@ -0,0 +1,95 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateSchema } = require('./schemaValidator');
+
+// Rooms a message may be addressed to
+const ROOM_PATTERN = '^(patient|provider|consultation)-[A-Za-z0-9_-]+$';
+
+const envelopeSchema = {
+  type: 'object',
+  required: ['type', 'payload'],
+  additionalProperties: false,
+  properties: {
+    messageId: { type: 'string', maxLength: 64 },
+    type: { type: 'string', pattern: '^[a-z][a-z0-9_.-]*$', maxLength: 64 },
+    senderId: { type: 'string', maxLength: 64 },
+    recipients: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', minLength: 1, maxLength: 64 }
+    },
+    rooms: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', pattern: ROOM_PATTERN, maxLength: 128 }
+    },
+    payload: { type: 'object' },
+    correlationId: { type: 'string', maxLength: 128 },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Validate an envelope; returns a list of { path, message } errors
+function validateEnvelope(envelope) {
+  const errors = validateSchema(envelope, envelopeSchema);
+
+  if (errors.length === 0) {
+    const recipients = envelope.recipients || [];
+    const rooms = envelope.rooms || [];
+    if (recipients.length === 0 && rooms.length === 0) {
+      errors.push({ path: 'recipients', message: 'at least one recipient or room is required' });
+    }
+  }
+
+  return errors;
+}
+
+// Build a validated envelope from client input. Identity, IDs and the
+// creation time are assigned by the server.
+function createEnvelope(data, senderId) {
+  const errors = validateEnvelope(data);
+  if (errors.length > 0) {
+    return { envelope: null, errors };
+  }
+
+  const envelope = {
+    messageId: uuidv4(),
+    type: data.type,
+    senderId: senderId ? senderId.toString() : undefined,
+    recipients: data.recipients || [],
+    rooms: data.rooms || [],
+    payload: data.payload,
+    correlationId: data.correlationId || uuidv4(),
+    createdAt: new Date().toISOString()
+  };
+
+  return { envelope, errors: [] };
+}
+
+// Parse and validate an envelope read from the broker
+function parseEnvelope(content) {
+  let envelope;
+  try {
+    envelope = JSON.parse(content);
+  } catch (error) {
+    return { envelope: null, errors: [{ path: '(root)', message: 'is not valid JSON' }] };
+  }
+
+  const errors = validateEnvelope(envelope);
+  return { envelope: errors.length > 0 ? null : envelope, errors };
+}
+
+// Socket.IO rooms an envelope is delivered to
+function getEnvelopeRooms(envelope) {
+  return [
+    ...envelope.rooms,
+    ...envelope.recipients.map(userId => `user-${userId}`)
+  ];
+}
+
+module.exports = {
+  envelopeSchema,
+  validateEnvelope,
+  createEnvelope,
+  parseEnvelope,
+  getEnvelopeRooms
+};
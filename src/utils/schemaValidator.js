@@ -0,0 +1,98 @@
+const validator = require('validator');
+
+// Minimal JSON-schema style validator for request and message payloads.
+// Supported keywords: type, required, properties, additionalProperties,
+// items, minItems, maxItems, minLength, maxLength, pattern, enum, format,
+// minimum, maximum.
+
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = getType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  if (type === 'any') return value !== undefined;
+  return actual === type;
+}
+
+function validateValue(value, schema, path, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'any'];
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && !validator.isISO8601(value)) {
+      errors.push({ path, message: 'must be an ISO 8601 date-time' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (getType(value) === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        if (value[key] !== undefined) {
+          validateValue(value[key], properties[key], childPath, errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+}
+
+// Validate a value against a schema; returns a list of { path, message } errors
+function validateSchema(value, schema) {
+  const errors = [];
+  validateValue(value, schema, '', errors);
+  return errors.map(error => ({ ...error, path: error.path || '(root)' }));
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,25 @@
+// Acknowledgement helpers for Socket.IO events. Responses mirror the REST API:
+// { success: true, data } or { success: false, error: { code, message, details? } }.
+
+function ackSuccess(callback, data = {}) {
+  if (typeof callback === 'function') {
+    callback({ success: true, data });
+  }
+}
+
+function ackError(callback, code, message, details) {
+  if (typeof callback === 'function') {
+    callback({ success: false, error: details ? { code, message, details } : { code, message } });
+  }
+}
+
+// Error thrown by socket handlers; its code and message are acknowledged to the client.
+// Other errors (Mongo, Node system errors) carry codes of their own and stay internal.
+function socketError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+module.exports = { ackSuccess, ackError, socketError };
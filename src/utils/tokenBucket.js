@@ -0,0 +1,38 @@
+// Token bucket: holds up to `capacity` tokens and refills continuously at
+// `refillPerSecond`. Each event takes one token. Reserving may run the bucket
+// into debt, which is how queued events wait for their turn.
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Whether a token can be taken while owing at most `maxDebt` tokens
+  canReserve(maxDebt = 0) {
+    this.refill();
+    return this.tokens - 1 >= -maxDebt;
+  }
+
+  // Take a token; returns how long to wait (ms) before the event may run
+  reserve() {
+    this.refill();
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.refillPerSecond) * 1000);
+  }
+
+  // A full bucket holds no state worth keeping
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+module.exports = TokenBucket;
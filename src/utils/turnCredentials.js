@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Time-limited TURN credentials following the TURN REST API scheme, as checked by
+// coturn with use-auth-secret: the username starts with its expiry as a Unix
+// timestamp, and the password is the base64 HMAC-SHA1 of the username keyed with
+// the secret shared with the TURN server. No state is kept on either side.
+function createTurnCredentials(secret, ttlSeconds, label, now = Date.now()) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiry}:${label}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+  return { username, credential, expiresAt: new Date(expiry * 1000) };
+}
+
+module.exports = { createTurnCredentials };